@@ -17,6 +17,49 @@
  *
  * SceneManager.push(Scene_SQControls);
  *
+ * When SQInput allows more than one binding per device, each extra binding
+ * gets its own column next to the primary one for that device.
+ *
+ * The button set follows the detected controller, shown as "Auto", until
+ * the player picks one. Cycling past the last set goes back to "Auto".
+ *
+ * With more than one player, a Player option picks whose controls are being
+ * changed. Players after the first can choose a gamepad or the keyboard, and
+ * don't have mouse bindings.
+ *
+ * When the new binding is already used by another control, SQInput's
+ * Binding Conflicts parameter decides what happens. With "ask", a prompt
+ * shows which control uses it and asks before swapping.
+ *
+ * Controls marked as Hidden in SQInput aren't listed, and Locked controls are
+ * shown greyed out and can't be selected.
+ *
+ * Controls with a Category in SQInput are grouped under a header for each
+ * category, and page up and page down jump between the categories. Controls
+ * without one go under "General". When any control has a Description, a help
+ * window at the bottom of the scene describes the selected control.
+ *
+ * Player 1 can switch between control profiles with the Profile option, and
+ * create, rename, duplicate or delete them with Manage Profile. New and
+ * renamed profiles are named with the same character grid as actor names.
+ *
+ * Export Controls and Import Controls share player 1's controls. In NW.js,
+ * they're saved to the controls folder, named after the active profile, and
+ * imported by picking one of the files there. In a browser, they're copied
+ * to and pasted from the clipboard as a short line of text.
+ *
+ * When SQInput's Controls Per Save is on and a game is in progress, the
+ * Controls For option picks whether player 1's changes apply to all saves or
+ * only to the current one. Controls for the current save are kept the next
+ * time the game is saved.
+ *
+ * When any control can be toggled, a Mode column lets player 1 switch those
+ * controls between Hold and Toggle.
+ *
+ * Chords can be bound by holding one or more modifiers while pressing the
+ * new input. On keyboard, the modifiers are Shift, Ctrl and Alt. On gamepad,
+ * the first button pressed is the modifier, e.g. holding LB and pressing A.
+ *
  * @ ======================================
  * @ Plugin Parameters
  * @ ======================================
@@ -56,13 +99,51 @@
  * @type multiline_string
  * @description Allow text appearing on the control remapping screen to be adjusted for localization.
  * @default {"window_header": "Control Options",
+"player_label": "Player",
 "device_label": "Controller",
 "button_set_label": "Button Set",
+"auto_label": "Auto",
 "reset_defaults_label": "Reset to Defaults",
+"left_deadzone_label": "Left Stick Deadzone",
+"right_deadzone_label": "Right Stick Deadzone",
+"stick_response_label": "Stick Response",
+"rumble_label": "Rumble",
+"rumble_intensity_label": "Rumble Intensity",
+"export_controls": "Export Controls",
+"import_controls": "Import Controls",
+"export_file_done": "Controls saved to\n%1",
+"export_clipboard_done": "Controls copied to the clipboard.",
+"export_failed": "The controls couldn't be saved.",
+"clipboard_failed": "The clipboard couldn't be used.",
+"import_done": "Controls imported.",
+"import_failed": "These controls couldn't be imported.",
+"no_control_files": "No exported controls were found\nin the controls folder.",
+"control_scope_label": "Controls For",
+"scope_global": "All Saves",
+"scope_save": "This Save",
+"profile_label": "Profile",
+"manage_profile_label": "Manage Profile",
+"new_profile": "New Profile",
+"rename_profile": "Rename Profile",
+"duplicate_profile": "Duplicate Profile",
+"delete_profile": "Delete Profile",
+"new_profile_name": "Profile",
+"on": "On",
+"off": "Off",
+"curve_linear": "Linear",
+"curve_quadratic": "Quadratic",
+"curve_exponent": "Custom",
 "function_label": "Function",
 "controller_label": "Controller",
 "keyboard_label": "Keyboard",
+"mouse_label": "Mouse",
+"mode_label": "Mode",
+"mode_hold": "Hold",
+"mode_toggle": "Toggle",
+"general_category": "General",
 "reset_prompt": "Reset control options?\nThis action cannot be undone.",
+"delete_profile_prompt": "Delete the profile %1?\nThis action cannot be undone.",
+"conflict_prompt": "%1 is already used for %2.\nSwap it with %3?",
 "remap_controls": "Change Controls",
 "ok": "OK",
 "cancel": "Cancel",
@@ -79,13 +160,51 @@ function Scene_SQControls() {
 (function() {
 	const defaultStrings = {
 		"window_header": "Control Options",
+		"player_label": "Player",
 		"device_label": "Controller",
 		"button_set_label": "Button Set",
+		"auto_label": "Auto",
 		"reset_defaults_label": "Reset to Defaults",
+		"left_deadzone_label": "Left Stick Deadzone",
+		"right_deadzone_label": "Right Stick Deadzone",
+		"stick_response_label": "Stick Response",
+		"rumble_label": "Rumble",
+		"rumble_intensity_label": "Rumble Intensity",
+		"export_controls": "Export Controls",
+		"import_controls": "Import Controls",
+		"export_file_done": "Controls saved to\n%1",
+		"export_clipboard_done": "Controls copied to the clipboard.",
+		"export_failed": "The controls couldn't be saved.",
+		"clipboard_failed": "The clipboard couldn't be used.",
+		"import_done": "Controls imported.",
+		"import_failed": "These controls couldn't be imported.",
+		"no_control_files": "No exported controls were found\nin the controls folder.",
+		"control_scope_label": "Controls For",
+		"scope_global": "All Saves",
+		"scope_save": "This Save",
+		"profile_label": "Profile",
+		"manage_profile_label": "Manage Profile",
+		"new_profile": "New Profile",
+		"rename_profile": "Rename Profile",
+		"duplicate_profile": "Duplicate Profile",
+		"delete_profile": "Delete Profile",
+		"new_profile_name": "Profile",
+		"on": "On",
+		"off": "Off",
+		"curve_linear": "Linear",
+		"curve_quadratic": "Quadratic",
+		"curve_exponent": "Custom",
 		"function_label": "Function",
 		"controller_label": "Controller",
 		"keyboard_label": "Keyboard",
+		"mouse_label": "Mouse",
+		"mode_label": "Mode",
+		"mode_hold": "Hold",
+		"mode_toggle": "Toggle",
+		"general_category": "General",
 		"reset_prompt": "Reset control options?\nThis action cannot be undone.",
+		"delete_profile_prompt": "Delete the profile %1?\nThis action cannot be undone.",
+		"conflict_prompt": "%1 is already used for %2.\nSwap it with %3?",
 		"remap_controls": "Change Controls",
 		"ok": "OK",
 		"cancel": "Cancel",
@@ -113,7 +232,8 @@ function Scene_SQControls() {
 
 	try {
 		if (params["localizedStrings"]) {
-			localizedStrings = JSON.parse(params["localizedStrings"]);
+			// Strings missing from older versions of the parameter fall back to the defaults
+			localizedStrings = Object.assign({}, defaultStrings, JSON.parse(params["localizedStrings"]));
 		}
 	}
 	catch(e) {
@@ -122,8 +242,26 @@ function Scene_SQControls() {
 
 	let subWindowBackground = Number(params["subWindowBackground"] || 0);
 
+	// The slot of the player whose controls are being changed
+	let remapPlayerSlot = 1;
+
+	function remapPlayer() {
+		return SQInput.player(remapPlayerSlot);
+	}
+
+	// Inner deadzone values that the player can cycle through in the options
+	const deadzoneSteps = [0, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3];
+
+	const responseCurves = ["linear", "quadratic", "exponent"];
+
+	// Rumble intensities that the player can cycle through in the options
+	const rumbleIntensitySteps = [0.25, 0.5, 0.75, 1];
+
+	// The longest name a control profile can have
+	const profileNameLength = 16;
+
 	function getActiveGamepads() {
-		let allGamepads = navigator.getGamepads();
+		let allGamepads = SQInput.getGamepads();
 		let activeGamepads = [];
 		for (let g of allGamepads) {
 			if (g) {
@@ -134,6 +272,89 @@ function Scene_SQControls() {
 		return activeGamepads;
 	}
 
+	// Describes what each column of the remap grid edits. The first column holds the control's name,
+	// followed by one column for each binding slot of each device. Only player 1 has mouse bindings, and the
+	// hold or toggle mode column, which is only there when some control can be toggled
+	function remapColumns() {
+		let devices = remapPlayer().isPrimary() ? ["gamepad", "keyboard", "mouse"] : ["gamepad", "keyboard"];
+		let columns = [null];
+		for (let device of devices) {
+			for (let slot = 0; slot < SQInput.bindingSlots; slot++) {
+				columns.push({device: device, slot: slot});
+			}
+		}
+
+		if (remapPlayer().isPrimary() && remapControls().some(key => SQInput.isToggleable(key))) {
+			columns.push({mode: true});
+		}
+
+		return columns;
+	}
+
+	// The controls shown in the remap grid. Hidden controls are left out
+	function remapControls() {
+		return Object.keys(SQInput.inputs).filter(key => !SQInput.isHidden(key));
+	}
+
+	// The rows of the remap grid. Each row is either a control or, once any control has a category, a category
+	// header. Categories are listed in the order they first appear, with uncategorized controls first
+	function remapRows() {
+		let controls = remapControls();
+		if (!controls.some(key => SQInput.inputs[key].category)) {
+			return controls.map(key => ({control: key}));
+		}
+
+		let categories = [""];
+		for (let key of controls) {
+			let category = SQInput.inputs[key].category || "";
+			if (!categories.includes(category)) {
+				categories.push(category);
+			}
+		}
+
+		let rows = [];
+		for (let category of categories) {
+			let members = controls.filter(key => (SQInput.inputs[key].category || "") === category);
+			if (members.length > 0) {
+				rows.push({header: category || localizedStrings["general_category"]});
+				rows.push(...members.map(key => ({control: key})));
+			}
+		}
+
+		return rows;
+	}
+
+	// The help window is only added when there's something to show in it
+	function hasControlDescriptions() {
+		return remapControls().some(key => SQInput.inputs[key].description);
+	}
+
+	// The name column takes up a third of the width, and the binding columns share the rest
+	function remapColumnX(column, width) {
+		if (column === 0) {
+			return 0;
+		}
+
+		let bindingColumnWidth = (width * 2 / 3) / (remapColumns().length - 1);
+		return (width / 3) + (bindingColumnWidth * (column - 1));
+	}
+
+	function remapColumnWidth(column, width) {
+		return remapColumnX(column + 1, width) - remapColumnX(column, width);
+	}
+
+	// The escape code that draws a binding's icon
+	function bindingIconCode(binding, device) {
+		if (device === "gamepad") {
+			return `\x1bJP[${binding}]`;
+		}
+		else if (device === "mouse") {
+			return `\x1bMS[${binding}]`;
+		}
+
+		return `\x1bKB[${binding}]`;
+	}
+
 	Scene_SQControls.prototype = Object.create(Scene_MenuBase.prototype);
 	Scene_SQControls.prototype.constructor = Scene_SQControls;
 	Scene_SQControls.prototype.initialize = function() {
@@ -145,17 +366,24 @@ function Scene_SQControls() {
 
 		uiWidth  = $dataSystem.advanced.uiAreaWidth;
 		uiHeight = $dataSystem.advanced.uiAreaHeight;
+		remapPlayerSlot = 1;
 
 		this.createTitleWindow();
 		this.createMainWindow();
 
 		this.createOptionsWindow();
 		this.createControlsRemapWindow();
+		if (hasControlDescriptions()) {
+			this.createControlHelpWindow();
+		}
 
 		// modal windows
 		this.createRemapControlPromptWindow();
 		this.createGamepadSelectWindow();
 		this.createResetControlsWindow();
+		this.createConflictWindow();
+		this.createProfileWindows();
+		this.createShareWindows();
 	}
 
 	Scene_SQControls.prototype.createTitleWindow = function() {
@@ -184,7 +412,7 @@ function Scene_SQControls() {
 	}
 
 	Scene_SQControls.prototype.createControlsRemapWindow = function() {
-		let rect = new Rectangle(windowMargin, this.titleHeight() + this.optionsHeight() + remapWindowTopMargin, uiWidth - (windowMargin * 3), uiHeight - this.titleHeight() - this.optionsHeight() - remapWindowTopMargin - (2 * windowMargin));
+		let rect = new Rectangle(windowMargin, this.titleHeight() + this.optionsHeight() + remapWindowTopMargin, uiWidth - (windowMargin * 3), uiHeight - this.titleHeight() - this.optionsHeight() - remapWindowTopMargin - (2 * windowMargin) - this.controlHelpHeight());
 		this._controlsWindow = new Window_SQControlsRemap(rect);
 		this._controlsWindow.setHandler("ok", this.startRemap.bind(this));
 		this._controlsWindow.scene = this;
@@ -192,6 +420,15 @@ function Scene_SQControls() {
 		this._controlsWindow.deactivate();
 	}
 
+	// Shows the description of the selected control, below the remap grid
+	Scene_SQControls.prototype.createControlHelpWindow = function() {
+		let rect = new Rectangle(windowMargin, uiHeight - (2 * windowMargin) - this.controlHelpHeight(), uiWidth - (windowMargin * 3), this.controlHelpHeight());
+		this._controlHelpWindow = new Window_Help(rect);
+		this._controlHelpWindow.setBackgroundType(subWindowBackground);
+		this.addWindow(this._controlHelpWindow);
+		this._controlsWindow.setHelpWindow(this._controlHelpWindow);
+	}
+
 	Scene_SQControls.prototype.createRemapControlPromptWindow = function() {
 		let height = 300;
 		let width = 500;
@@ -203,8 +440,9 @@ function Scene_SQControls() {
 		this._remapPromptWindow.hide();
 	}
 
+	// The window is resized to fit its items whenever it's refreshed
 	Scene_SQControls.prototype.createGamepadSelectWindow = function() {
-		let height = navigator.getGamepads().length * (60 + 8);
+		let height = this.calcWindowHeight(1, true);
 		let width = 600;
 		let rect = new Rectangle(uiWidth / 2 - width / 2, uiHeight / 2 - height / 2, width, height);
 		this._gamepadSelectorWindow = new Window_SQGamepadSelector(rect);
@@ -229,6 +467,79 @@ function Scene_SQControls() {
 		this._resetWindow.hide();
 	}
 
+	Scene_SQControls.prototype.createConflictWindow = function() {
+		let height = uiHeight * resetControlsWindowHeight;
+		let width = uiWidth * resetControlsWindowWidth;
+		let rect = new Rectangle(uiWidth / 2 - width / 2, uiHeight / 2 - height / 2, width, height);
+		this._conflictWindow = new Window_SQConfirmPrompt(rect);
+		this.addWindow(this._conflictWindow);
+		this._conflictWindow.setHandler("ok", this.confirmConflict.bind(this));
+		this._conflictWindow.setHandler("cancel", this.closeConflictPrompt.bind(this));
+		this._conflictWindow.deactivate();
+		this._conflictWindow.hide();
+	}
+
+	Scene_SQControls.prototype.createProfileWindows = function() {
+		let width = uiWidth * resetControlsWindowWidth;
+		let height = this.calcWindowHeight(4, true);
+		let rect = new Rectangle(uiWidth / 2 - width / 2, uiHeight / 2 - height / 2, width, height);
+		this._profileActionsWindow = new Window_SQProfileActions(rect);
+		this._profileActionsWindow.setHandler("create", this.startProfileNameEntry.bind(this, "create"));
+		this._profileActionsWindow.setHandler("rename", this.startProfileNameEntry.bind(this, "rename"));
+		this._profileActionsWindow.setHandler("duplicate", this.duplicateProfile.bind(this));
+		this._profileActionsWindow.setHandler("delete", this.startDeleteProfilePrompt.bind(this));
+		this._profileActionsWindow.setHandler("cancel", this.closeProfileActions.bind(this));
+		this.addWindow(this._profileActionsWindow);
+		this._profileActionsWindow.deactivate();
+		this._profileActionsWindow.hide();
+
+		// Laid out like the actor name entry scene
+		let nameWidth = 600;
+		let editHeight = this.calcWindowHeight(1, false);
+		let inputHeight = this.calcWindowHeight(9, true);
+		let nameY = uiHeight / 2 - (editHeight + 8 + inputHeight) / 2;
+		this._profileNameWindow = new Window_SQProfileNameEdit(new Rectangle(uiWidth / 2 - nameWidth / 2, nameY, nameWidth, editHeight));
+		this._profileNameInputWindow = new Window_NameInput(new Rectangle(uiWidth / 2 - nameWidth / 2, nameY + editHeight + 8, nameWidth, inputHeight));
+		this._profileNameInputWindow.setEditWindow(this._profileNameWindow);
+		this._profileNameInputWindow.setHandler("ok", this.confirmProfileName.bind(this));
+		this.addWindow(this._profileNameWindow);
+		this.addWindow(this._profileNameInputWindow);
+		this._profileNameInputWindow.deactivate();
+		this._profileNameWindow.hide();
+		this._profileNameInputWindow.hide();
+
+		width = uiWidth * resetControlsWindowWidth;
+		height = uiHeight * resetControlsWindowHeight;
+		rect = new Rectangle(uiWidth / 2 - width / 2, uiHeight / 2 - height / 2, width, height);
+		this._deleteProfileWindow = new Window_SQConfirmPrompt(rect);
+		this._deleteProfileWindow.setHandler("ok", this.confirmDeleteProfile.bind(this));
+		this._deleteProfileWindow.setHandler("cancel", this.closeDeleteProfilePrompt.bind(this));
+		this.addWindow(this._deleteProfileWindow);
+		this._deleteProfileWindow.deactivate();
+		this._deleteProfileWindow.hide();
+	}
+
+	Scene_SQControls.prototype.createShareWindows = function() {
+		let width = uiWidth * resetControlsWindowWidth;
+		let height = this.calcWindowHeight(6, true);
+		let rect = new Rectangle(uiWidth / 2 - width / 2, uiHeight / 2 - height / 2, width, height);
+		this._controlFilesWindow = new Window_SQControlFiles(rect);
+		this._controlFilesWindow.setHandler("ok", this.confirmControlFile.bind(this));
+		this._controlFilesWindow.setHandler("cancel", this.closeControlFileSelection.bind(this));
+		this.addWindow(this._controlFilesWindow);
+		this._controlFilesWindow.deactivate();
+		this._controlFilesWindow.hide();
+
+		height = uiHeight * resetControlsWindowHeight;
+		rect = new Rectangle(uiWidth / 2 - width / 2, uiHeight / 2 - height / 2, width, height);
+		this._noticeWindow = new Window_SQNotice(rect);
+		this._noticeWindow.setHandler("ok", this.closeNotice.bind(this));
+		this._noticeWindow.setHandler("cancel", this.closeNotice.bind(this));
+		this.addWindow(this._noticeWindow);
+		this._noticeWindow.deactivate();
+		this._noticeWindow.hide();
+	}
+
 	Scene_SQControls.prototype.startGamepadSelection = function() {
 		this._gamepadSelectorWindow.activate();
 		this._gamepadSelectorWindow.show();
@@ -256,8 +567,14 @@ function Scene_SQControls() {
 		let listIndex = this._gamepadSelectorWindow.index();
 		let gamepadIndex = this._gamepadSelectorWindow.commandSymbol(listIndex);
 
-		SQInput.setTargetGamepadIndex(gamepadIndex);
+		if (gamepadIndex === "keyboard") {
+			remapPlayer().useKeyboard();
+		}
+		else {
+			remapPlayer().setTargetGamepadIndex(gamepadIndex);
+		}
 		ConfigManager.save();
+		this._optionsWindow.refresh();
 
 		this.cancelGamepadSelection();
 	}
@@ -272,7 +589,7 @@ function Scene_SQControls() {
 	Scene_SQControls.prototype.confirmResetControls = function() {
 		let listIndex = this._resetWindow.index();
 		if (listIndex === 0) {
-			SQInput.resetMap();
+			remapPlayer().resetMap();
 			ConfigManager.save();
 			SoundManager.playEquip();
 			this._controlsWindow.paint();
@@ -290,13 +607,18 @@ function Scene_SQControls() {
 
 	Scene_SQControls.prototype.startRemap = function() {
 		let selectedIndex = this._controlsWindow.index();
-		let indexMod = selectedIndex % 3;
+		let column = this._controlsWindow.columnAt(selectedIndex);
 
-		if (indexMod === 0) {
+		if (!column) {
 			// selected one of the labels. do nothing
 			return;
 		}
 
+		if (column.mode) {
+			this.toggleControlMode(this._controlsWindow.inputAt(selectedIndex));
+			return;
+		}
+
 		this._controlsWindow.deactivate();
 		this._mainWindow.deactivate();
 		this._optionsWindow.deactivate();
@@ -304,53 +626,135 @@ function Scene_SQControls() {
 		this._remapPromptWindow.activate();
 		this._remapPromptWindow.show();
 
-		// each row of 4 is a separate function
-		let targetFunction = SQInput.getInputByIndex(Math.floor(selectedIndex / 3));
+		// each row is a separate function
+		let targetFunction = this._controlsWindow.inputAt(selectedIndex);
 		this._remapPromptWindow.setTargetFunction(targetFunction);
+		SQInput.inputCapturePlayer = remapPlayerSlot;
 
-		if (indexMod === 2) {
+		if (column.device === "keyboard") {
 			// start keyboard remapping
 			this._remapPromptWindow.setKeyboardRemap();
-			SQInput.onNextKeyboardInput(this.remapKeyboardInputHandler.bind(this, targetFunction));
+			SQInput.onNextKeyboardInput(this.remapKeyboardInputHandler.bind(this, targetFunction, column.slot));
 		}
-		else if (indexMod === 1) {
+		else if (column.device === "gamepad") {
 			// start gamepad remapping
 			this._remapPromptWindow.setGamepadRemap();
-			// Check on release so a long select press can be detected
-			SQInput.onNextGamepadPress((() => {
-				SQInput.onNextGamepadRelease(this.remapGamepadInputHandler.bind(this, targetFunction));
+			// Check on release so a long select press can be detected, and so any buttons held along with the first
+			// one can be picked up as a chord
+			SQInput.onNextGamepadPress(((firstButton) => {
+				SQInput.onNextGamepadRelease(this.remapGamepadInputHandler.bind(this, targetFunction, column.slot, firstButton));
 			}).bind(this));
 		}
+		else if (column.device === "mouse") {
+			// start mouse remapping
+			this._remapPromptWindow.setMouseRemap();
+			SQInput.onNextMouseInput(this.remapMouseInputHandler.bind(this, targetFunction, column.slot));
+		}
+
+	}
 
+	Scene_SQControls.prototype.toggleControlMode = function(targetFunction) {
+		let mode = SQInput.getControlMode(targetFunction.id) === "toggle" ? "hold" : "toggle";
+		SQInput.setControlMode(targetFunction.id, mode);
+		ConfigManager.save();
+		this._controlsWindow.refresh();
+		this._controlsWindow.activate();
 	}
 
-	Scene_SQControls.prototype.remapKeyboardInputHandler = function(targetFunction, event) {
+	Scene_SQControls.prototype.remapKeyboardInputHandler = function(targetFunction, slot, event, type) {
+		// A modifier could be the start of a chord. Wait for a key to be released to see what was held with it
+		if (type === "press" && SQInput.isModifierKey(event.code)) {
+			SQInput.onNextKeyboardRelease(this.remapKeyboardInputHandler.bind(this, targetFunction, slot));
+			return;
+		}
+
 		// Don't map escape, since it's needed to reset controls
 		if (event.which !== 27) {
-			SQInput.setKeyboardButton(targetFunction.id, event.code);
-			SoundManager.playOk();
-			ConfigManager.save();
-		}
-		else {
-			SoundManager.playCancel();
+			this.applyRemap(targetFunction, SQInput.getKeyboardChord(event.code), "keyboard", slot);
+			return;
 		}
 
+		SoundManager.playCancel();
 		this.cancelRemap();
 	}
 
-	Scene_SQControls.prototype.remapGamepadInputHandler = function(targetFunction, buttonIndex, type) {
+	Scene_SQControls.prototype.remapGamepadInputHandler = function(targetFunction, slot, firstButton, buttonIndex, type) {
 		if (type === "release") {
-			SQInput.setGamepadButton(targetFunction.id, buttonIndex);
+			this.applyRemap(targetFunction, SQInput.getGamepadChord(buttonIndex, firstButton), "gamepad", slot);
+			return;
+		}
+
+		this.cancelRemap();
+	}
+
+	Scene_SQControls.prototype.remapMouseInputHandler = function(targetFunction, slot, code, type) {
+		this.applyRemap(targetFunction, code, "mouse", slot);
+	}
+
+	// With the "ask" conflict policy, the player confirms before a binding used by another control is taken
+	Scene_SQControls.prototype.applyRemap = function(targetFunction, binding, device, slot) {
+		// There's nothing to ask about if the other control can't give up its key. setBinding rejects it
+		let conflict = remapPlayer().getConflict(targetFunction.id, binding, device, slot);
+		if (conflict && SQInput.conflictPolicy === "ask" && SQInput.canSwapBinding(conflict.control)) {
+			this.startConflictPrompt(targetFunction, binding, device, slot, conflict);
+			return;
+		}
+
+		this.setBinding(targetFunction, binding, device, slot);
+		this.cancelRemap();
+	}
+
+	Scene_SQControls.prototype.setBinding = function(targetFunction, binding, device, slot) {
+		if (remapPlayer().setControlButton(targetFunction.id, binding, device, slot)) {
 			SoundManager.playOk();
 			ConfigManager.save();
 		}
+		else {
+			SoundManager.playBuzzer();
+		}
+	}
+
+	Scene_SQControls.prototype.startConflictPrompt = function(targetFunction, binding, device, slot, conflict) {
+		SQInput.cancelOnNextGamepadInput();
+		SQInput.cancelOnNextKeyboardInput();
+		SQInput.cancelOnNextMouseInput();
 
+		this._remapPromptWindow.deactivate();
+		this._remapPromptWindow.hide();
+
+		this._pendingRemap = {targetFunction: targetFunction, binding: binding, device: device, slot: slot};
+		let conflictTitle = SQInput.inputs[conflict.control].fieldTitle;
+		this._conflictWindow.setText(localizedStrings["conflict_prompt"].format(bindingIconCode(binding, device), conflictTitle, targetFunction.fieldTitle));
+		this._conflictWindow.show();
+		this._conflictWindow.smoothSelect(1);
+
+		// Give the input that was just pressed time to be released, so it doesn't answer the prompt
+		setTimeout(() => {
+			this._conflictWindow.activate();
+		}, 250);
+	}
+
+	Scene_SQControls.prototype.confirmConflict = function() {
+		if (this._conflictWindow.index() === 0) {
+			let remap = this._pendingRemap;
+			this.setBinding(remap.targetFunction, remap.binding, remap.device, remap.slot);
+		}
+
+		this.closeConflictPrompt();
+	}
+
+	Scene_SQControls.prototype.closeConflictPrompt = function() {
+		this._pendingRemap = null;
+		this._conflictWindow.deactivate();
+		this._conflictWindow.hide();
 		this.cancelRemap();
 	}
 
 	Scene_SQControls.prototype.cancelRemap = function() {
 		SQInput.cancelOnNextGamepadInput();
 		SQInput.cancelOnNextKeyboardInput();
+		SQInput.cancelOnNextMouseInput();
+		SQInput.inputCapturePlayer = 1;
 
 		this._mainWindow.deactivate();
 		this._optionsWindow.deactivate();
@@ -366,19 +770,51 @@ function Scene_SQControls() {
 	}
 
 	Scene_SQControls.prototype.changeOption = function() {
-		let selectedIndex = this._optionsWindow.index();
-
-		switch (selectedIndex) {
-			case 0:
+		switch (this._optionsWindow.currentSymbol()) {
+			case "player":
+				this.nextPlayer();
+				break;
+			case "controlDevice":
 				this.startGamepadSelection();
 				break;
-			case 1:
-				SQInput.nextButtonSet();
+			case "controlButtonSet":
+				this.nextButtonSet();
 				ConfigManager.save();
 				this._controlsWindow.refresh();
 				this._optionsWindow.activate();
 				break;
-			case 2:
+			case "leftDeadzone":
+				this.nextStickDeadzone("left");
+				break;
+			case "rightDeadzone":
+				this.nextStickDeadzone("right");
+				break;
+			case "stickResponse":
+				this.nextStickResponseCurve();
+				break;
+			case "rumble":
+				SQInput.setRumbleEnabled(!SQInput.rumbleEnabled);
+				this.previewRumble();
+				break;
+			case "rumbleIntensity":
+				this.nextRumbleIntensity();
+				break;
+			case "controlScope":
+				this.toggleControlScope();
+				break;
+			case "profile":
+				this.nextProfile();
+				break;
+			case "manageProfile":
+				this.startProfileActions();
+				break;
+			case "exportControls":
+				this.exportControls();
+				break;
+			case "importControls":
+				this.importControls();
+				break;
+			case "resetControlMapping":
 				this.startResetControlsPrompt();
 				break;
 		}
@@ -386,6 +822,256 @@ function Scene_SQControls() {
 		this._optionsWindow.refresh();
 	}
 
+	// Going back to all saves drops this save's own controls, so the grid shows the global ones again
+	Scene_SQControls.prototype.toggleControlScope = function() {
+		SQInput.setControlScope(SQInput.controlScope === "save" ? "global" : "save");
+		ConfigManager.save();
+		this._controlsWindow.refresh();
+		this._optionsWindow.activate();
+	}
+
+	// Switches to the next preset or profile, wrapping around after the last one
+	Scene_SQControls.prototype.nextProfile = function() {
+		let names = SQInput.getProfileNames();
+		let next = names[(names.indexOf(SQInput.getActiveProfile()) + 1) % names.length];
+
+		SQInput.activateProfile(next);
+		ConfigManager.save();
+		this._controlsWindow.refresh();
+		this._optionsWindow.activate();
+	}
+
+	Scene_SQControls.prototype.startProfileActions = function() {
+		this._mainWindow.deactivate();
+		this._optionsWindow.deactivate();
+		this._profileActionsWindow.refresh();
+		this._profileActionsWindow.show();
+		this._profileActionsWindow.forceSelect(0);
+		this._profileActionsWindow.activate();
+	}
+
+	Scene_SQControls.prototype.closeProfileActions = function() {
+		this._profileActionsWindow.deactivate();
+		this._profileActionsWindow.hide();
+		this._mainWindow.activate();
+		this._optionsWindow.activate();
+		this._optionsWindow.refresh();
+		this._controlsWindow.refresh();
+	}
+
+	// New profiles start with a numbered name, and renamed profiles start with their current name
+	Scene_SQControls.prototype.startProfileNameEntry = function(action) {
+		let name = action === "create"
+			? SQInput.uniqueProfileName(localizedStrings["new_profile_name"])
+			: SQInput.getActiveProfile();
+
+		this._profileNameAction = action;
+		this._profileActionsWindow.deactivate();
+		this._profileActionsWindow.hide();
+		this._profileNameWindow.setup(name, profileNameLength);
+		this._profileNameWindow.show();
+		this._profileNameInputWindow.show();
+		this._profileNameInputWindow.refresh();
+		this._profileNameInputWindow.select(0);
+		this._profileNameInputWindow.activate();
+	}
+
+	// Names that are already taken are refused, leaving the name entry open
+	Scene_SQControls.prototype.confirmProfileName = function() {
+		let name = this._profileNameWindow.name();
+		let success = this._profileNameAction === "create"
+			? SQInput.createProfile(name)
+			: SQInput.renameProfile(SQInput.getActiveProfile(), name);
+
+		if (!success) {
+			SoundManager.playBuzzer();
+			return;
+		}
+
+		ConfigManager.save();
+		this._profileNameInputWindow.deactivate();
+		this._profileNameWindow.hide();
+		this._profileNameInputWindow.hide();
+		this.closeProfileActions();
+	}
+
+	Scene_SQControls.prototype.duplicateProfile = function() {
+		SQInput.duplicateProfile(SQInput.getActiveProfile());
+		ConfigManager.save();
+		this.closeProfileActions();
+	}
+
+	Scene_SQControls.prototype.startDeleteProfilePrompt = function() {
+		this._profileActionsWindow.deactivate();
+		this._profileActionsWindow.hide();
+		this._deleteProfileWindow.setText(localizedStrings["delete_profile_prompt"].format(SQInput.getActiveProfile()));
+		this._deleteProfileWindow.show();
+		this._deleteProfileWindow.forceSelect(1);
+		this._deleteProfileWindow.activate();
+	}
+
+	Scene_SQControls.prototype.confirmDeleteProfile = function() {
+		if (this._deleteProfileWindow.index() === 0) {
+			SQInput.deleteProfile(SQInput.getActiveProfile());
+			ConfigManager.save();
+		}
+
+		this.closeDeleteProfilePrompt();
+	}
+
+	Scene_SQControls.prototype.closeDeleteProfilePrompt = function() {
+		this._deleteProfileWindow.deactivate();
+		this._deleteProfileWindow.hide();
+		this.closeProfileActions();
+	}
+
+	// NW.js saves the controls to a file named after the active profile. Browsers copy them to the clipboard.
+	// Saving fails if the game folder can't be written to, such as a read-only install
+	Scene_SQControls.prototype.exportControls = function() {
+		if (Utils.isNwjs()) {
+			let name = SQInput.getActiveProfile().replace(/[\\/:*?"<>|]/g, "_");
+			try {
+				SQInput.saveControlMapFile(name);
+			}
+			catch (e) {
+				this.showNotice(localizedStrings["export_failed"]);
+				return;
+			}
+			this.showNotice(localizedStrings["export_file_done"].format("controls/" + name + ".json"));
+		}
+		else {
+			SQInput.copyControlMap().then(
+				() => this.showNotice(localizedStrings["export_clipboard_done"]),
+				() => this.showNotice(localizedStrings["clipboard_failed"])
+			);
+		}
+	}
+
+	// NW.js picks one of the files in the controls folder. Browsers paste from the clipboard
+	Scene_SQControls.prototype.importControls = function() {
+		if (Utils.isNwjs()) {
+			this.startControlFileSelection();
+		}
+		else {
+			SQInput.pasteControlMap().then(
+				() => this.onControlsImported(),
+				() => this.showNotice(localizedStrings["import_failed"])
+			);
+		}
+	}
+
+	Scene_SQControls.prototype.startControlFileSelection = function() {
+		this._controlFilesWindow.refresh();
+		if (this._controlFilesWindow.maxItems() === 0) {
+			this.showNotice(localizedStrings["no_control_files"]);
+			return;
+		}
+
+		this._mainWindow.deactivate();
+		this._optionsWindow.deactivate();
+		this._controlFilesWindow.show();
+		this._controlFilesWindow.forceSelect(0);
+		this._controlFilesWindow.activate();
+	}
+
+	Scene_SQControls.prototype.confirmControlFile = function() {
+		let name = this._controlFilesWindow.currentSymbol();
+		this._controlFilesWindow.deactivate();
+		this._controlFilesWindow.hide();
+
+		SQInput.loadControlMapFile(name)
+			.then(text => SQInput.importControlMap(text))
+			.then(
+				() => this.onControlsImported(),
+				() => this.showNotice(localizedStrings["import_failed"])
+			);
+	}
+
+	Scene_SQControls.prototype.closeControlFileSelection = function() {
+		this._controlFilesWindow.deactivate();
+		this._controlFilesWindow.hide();
+		this._mainWindow.activate();
+		this._optionsWindow.activate();
+	}
+
+	Scene_SQControls.prototype.onControlsImported = function() {
+		ConfigManager.save();
+		this._controlsWindow.refresh();
+		this._optionsWindow.refresh();
+		this.showNotice(localizedStrings["import_done"]);
+	}
+
+	Scene_SQControls.prototype.showNotice = function(text) {
+		this._mainWindow.deactivate();
+		this._optionsWindow.deactivate();
+		this._noticeWindow.setText(text);
+		this._noticeWindow.show();
+		this._noticeWindow.forceSelect(0);
+		this._noticeWindow.activate();
+	}
+
+	Scene_SQControls.prototype.closeNotice = function() {
+		this._noticeWindow.deactivate();
+		this._noticeWindow.hide();
+		this._mainWindow.activate();
+		this._optionsWindow.activate();
+	}
+
+	// Cycles through the button sets by hand, then goes back to the one for the detected controller family
+	Scene_SQControls.prototype.nextButtonSet = function() {
+		if (SQInput.isButtonSetOverridden() && SQInput.getButtonSet() === SQInput.numButtonSets - 1) {
+			SQInput.clearButtonSetOverride();
+		}
+		else {
+			SQInput.nextButtonSet();
+		}
+	}
+
+	Scene_SQControls.prototype.nextRumbleIntensity = function() {
+		let next = rumbleIntensitySteps.find(step => step > SQInput.rumbleIntensity + 0.001);
+
+		SQInput.setRumbleIntensity(next === undefined ? rumbleIntensitySteps[0] : next);
+		this.previewRumble();
+	}
+
+	// Gives a short rumble so the player can feel the new setting
+	Scene_SQControls.prototype.previewRumble = function() {
+		SQInput.rumble(0.5, 0.5, 200);
+		ConfigManager.save();
+		this._optionsWindow.activate();
+	}
+
+	// Switches to the next player's controls. The grid is rebuilt, since only player 1 has mouse columns
+	Scene_SQControls.prototype.nextPlayer = function() {
+		remapPlayerSlot = remapPlayerSlot % SQInput.playerCount() + 1;
+
+		this._mainWindow.refresh();
+		this._controlsWindow.refresh();
+		this._controlsWindow.deselect();
+		this._optionsWindow.activate();
+	}
+
+	// Cycles through the deadzone steps, wrapping back to no deadzone after the largest one
+	Scene_SQControls.prototype.nextStickDeadzone = function(stick) {
+		let current = SQInput.getStickSettings(stick).innerDeadzone;
+		let next = deadzoneSteps.find(step => step > current + 0.001);
+
+		SQInput.setStickOverride(stick, "innerDeadzone", next === undefined ? deadzoneSteps[0] : next);
+		ConfigManager.save();
+		this._optionsWindow.activate();
+	}
+
+	// The response curve option applies to both sticks
+	Scene_SQControls.prototype.nextStickResponseCurve = function() {
+		let current = responseCurves.indexOf(SQInput.getStickSettings("left").responseCurve);
+		let next = responseCurves[(current + 1) % responseCurves.length];
+
+		SQInput.setStickOverride("left", "responseCurve", next);
+		SQInput.setStickOverride("right", "responseCurve", next);
+		ConfigManager.save();
+		this._optionsWindow.activate();
+	}
+
 	Scene_SQControls.prototype.optionsHeight = function() {
 		return uiHeight * optionsWindowHeight;
 	}
@@ -394,6 +1080,10 @@ function Scene_SQControls() {
 		return uiHeight * titleWindowHeight;
 	}
 
+	Scene_SQControls.prototype.controlHelpHeight = function() {
+		return hasControlDescriptions() ? this.helpAreaHeight() : 0;
+	}
+
 	///////////////////////////////
 	// Small bordered window on the top of the screen that just shows the screen name "Control Options"
 	function Window_SQControlsTitle() {
@@ -424,6 +1114,10 @@ function Scene_SQControls() {
 	}
 
 	Window_SQControlsMain.prototype.paint = function() {
+		if (this.contents) {
+			this.contents.clear();
+		}
+
 		this.drawControlsHeader();
 	}
 
@@ -433,10 +1127,24 @@ function Scene_SQControls() {
 
 		let textWidth = 250; //uiWidth * 0.33;
 		let textY = (uiHeight * titleWindowHeight) + (uiHeight * optionsWindowHeight) - remapWindowTopMargin;
+		let deviceLabels = {
+			gamepad: localizedStrings["controller_label"],
+			keyboard: localizedStrings["keyboard_label"],
+			mouse: localizedStrings["mouse_label"]
+		};
 
 		this.drawText(localizedStrings["function_label"], 10, textY, textWidth, 'left');
-		this.drawText(localizedStrings["controller_label"], 10 + (uiWidth / 3), textY, textWidth, 'left');
-		this.drawText(localizedStrings["keyboard_label"], (2 * uiWidth / 3), textY, textWidth, 'left');
+
+		// Each device's label goes above its first binding column
+		let columns = remapColumns();
+		for (let i = 1; i < columns.length; i++) {
+			if (columns[i].mode) {
+				this.drawText(localizedStrings["mode_label"], 10 + remapColumnX(i, uiWidth), textY, textWidth, 'left');
+			}
+			else if (columns[i].slot === 0) {
+				this.drawText(deviceLabels[columns[i].device], 10 + remapColumnX(i, uiWidth), textY, textWidth, 'left');
+			}
+		}
 		this.changeTextColor(ColorManager.normalColor());
 	}
 
@@ -463,8 +1171,26 @@ function Scene_SQControls() {
 	}
 
 	Window_SQControlsOptions.prototype.makeCommandList = function() {
+		if (SQInput.playerCount() > 1) {
+			this.addCommand(localizedStrings["player_label"], "player");
+		}
 		this.addCommand(localizedStrings["device_label"], "controlDevice");
 		this.addCommand(localizedStrings["button_set_label"], "controlButtonSet");
+		this.addCommand(localizedStrings["left_deadzone_label"], "leftDeadzone");
+		this.addCommand(localizedStrings["right_deadzone_label"], "rightDeadzone");
+		this.addCommand(localizedStrings["stick_response_label"], "stickResponse");
+		this.addCommand(localizedStrings["rumble_label"], "rumble");
+		this.addCommand(localizedStrings["rumble_intensity_label"], "rumbleIntensity");
+		if (remapPlayer().isPrimary() && SQInput.canUseSaveControls()) {
+			this.addCommand(localizedStrings["control_scope_label"], "controlScope");
+		}
+		// Profiles hold player 1's bindings
+		if (remapPlayer().isPrimary()) {
+			this.addCommand(localizedStrings["profile_label"], "profile");
+			this.addCommand(localizedStrings["manage_profile_label"], "manageProfile");
+			this.addCommand(localizedStrings["export_controls"], "exportControls");
+			this.addCommand(localizedStrings["import_controls"], "importControls");
+		}
 		this.addCommand(localizedStrings["reset_defaults_label"], "resetControlMapping");
 	}
 
@@ -473,25 +1199,71 @@ function Scene_SQControls() {
 
 		this.changePaintOpacity(true);
 
-		// Device
-		let rect = this.itemLineRect(0);
-		this.drawText(this.commandName(0), rect.x, rect.y, rect.width, "left");
-		this.drawCurrentDevice(rect.x + this.statusWidth() + 15, rect.y);
+		for (let i = 0; i < this.maxItems(); i++) {
+			this.drawItem(i);
+		}
+	}
 
-		// Button Set
-		rect = this.itemLineRect(1);
-		this.drawText(this.commandName(1), rect.x, rect.y, rect.width, "left");
-		this.drawButtonSets(rect.x + this.statusWidth() + 15, rect.y);
+	// Draws the option's label, followed by its current value
+	Window_SQControlsOptions.prototype.drawItem = function(index) {
+		let rect = this.itemLineRect(index);
+		let statusX = rect.x + this.statusWidth() + 15;
+		this.drawText(this.commandName(index), rect.x, rect.y, rect.width, "left");
 
-		// Reset mapping
-		rect = this.itemLineRect(2);
-		this.drawText(this.commandName(2), rect.x, rect.y, rect.width, "left");
+		switch (this.commandSymbol(index)) {
+			case "player":
+				this.drawText(String(remapPlayerSlot), statusX, rect.y, rect.width, "left");
+				break;
+			case "controlDevice":
+				this.drawCurrentDevice(statusX, rect.y);
+				break;
+			case "controlButtonSet":
+				this.drawButtonSets(statusX, rect.y);
+				break;
+			case "leftDeadzone":
+				this.drawDeadzone("left", statusX, rect.y);
+				break;
+			case "rightDeadzone":
+				this.drawDeadzone("right", statusX, rect.y);
+				break;
+			case "stickResponse":
+				this.drawText(localizedStrings["curve_" + SQInput.getStickSettings("left").responseCurve], statusX, rect.y, rect.width, "left");
+				break;
+			case "rumble":
+				this.drawText(localizedStrings[SQInput.rumbleEnabled ? "on" : "off"], statusX, rect.y, rect.width, "left");
+				break;
+			case "rumbleIntensity":
+				this.drawText(Math.round(SQInput.rumbleIntensity * 100) + "%", statusX, rect.y, rect.width, "left");
+				break;
+			case "controlScope":
+				this.drawText(localizedStrings["scope_" + SQInput.controlScope], statusX, rect.y, rect.width, "left");
+				break;
+			case "profile":
+				this.drawText(SQInput.getActiveProfile(), statusX, rect.y, rect.width, "left");
+				break;
+		}
+	}
+
+	Window_SQControlsOptions.prototype.drawDeadzone = function(stick, x, y) {
+		let deadzone = Math.round(SQInput.getStickSettings(stick).innerDeadzone * 100);
+		this.drawText(deadzone + "%", x, y, this.statusWidth(), "left");
 	}
 
 	Window_SQControlsOptions.prototype.drawCurrentDevice = function(x, y) {
 		let gamepads = getActiveGamepads();
 		let textWidth = uiWidth * 0.92;
-		if (gamepads.length) {
+		let player = remapPlayer();
+
+		if (!player.isPrimary()) {
+			let gamepad = SQInput.getGamepads()[player.getGamepadIndex()];
+			if (player.device === "keyboard") {
+				this.drawText(localizedStrings["keyboard_label"], x, y, textWidth, "left");
+			}
+			else if (gamepad) {
+				this.drawText(gamepad.id, x, y, textWidth, "left");
+			}
+		}
+		else if (gamepads.length) {
 			if (this._activeGamepadIndex === null) {
 				this._activeGamepadIndex = 0;
 			}
@@ -506,6 +1278,17 @@ function Scene_SQControls() {
 			this.drawButtonSet(i, x + (ImageManager.iconWidth * 4.2 * i) , y);
 		}
 		this.changePaintOpacity(true);
+
+		// Show the detected controller family, dimmed when the player picked a button set themselves
+		let familyX = x + (ImageManager.iconWidth * 4.2 * SQInput.numButtonSets);
+		let familyText = SQInput.controllerFamily.label;
+		if (!SQInput.isButtonSetOverridden()) {
+			familyText = localizedStrings["auto_label"] + ": " + familyText;
+		}
+
+		this.changePaintOpacity(!SQInput.isButtonSetOverridden());
+		this.drawText(familyText, familyX, y, this.statusWidth(), "left");
+		this.changePaintOpacity(true);
 	}
 
 	Window_SQControlsOptions.prototype.drawButtonSet = function(setIndex, x, y) {
@@ -522,7 +1305,7 @@ function Scene_SQControls() {
 	}
 
 	Window_SQControlsOptions.prototype.cursorDown = function() {
-		if (this.index() === 2) {
+		if (this.index() === this.maxItems() - 1) {
 			this.deactivate();
 			this.scene._controlsWindow.activate();
 			this.scene._controlsWindow.smoothSelect(-2);
@@ -564,70 +1347,205 @@ function Scene_SQControls() {
 	Window_SQControlsRemap.prototype.initialize = function(rect) {
 		Window_Command.prototype.initialize.call(this, rect);
 		this.setBackgroundType(subWindowBackground);
-		this.forceSelect(1);
+		let index = this.selectableIndexFrom(1 - this.maxCols(), 1);
+		this.forceSelect(index >= 0 ? index : 1);
 	}
 
+	// Locked controls are listed, but their bindings can't be selected. Category headers take up a whole row
+	// that can't be selected either
 	Window_SQControlsRemap.prototype.makeCommandList = function() {
-		for (let key in SQInput.inputs) {
+		let columns = remapColumns();
+		for (let row of remapRows()) {
+			if (row.header !== undefined) {
+				for (let i = 0; i < columns.length; i++) {
+					this.addCommand(row.header, "category", false);
+				}
+				continue;
+			}
+
+			let key = row.control;
 			let cf = SQInput.inputs[key];
-			this.addCommand(cf.fieldTitle, "field_" + key, false);
-			this.addCommand(cf.fieldTitle, "kb_" + key);
-			this.addCommand(cf.fieldTitle, "gp_" + key);
+			for (let column of columns) {
+				if (column && column.mode) {
+					this.addCommand(cf.fieldTitle, "mode_" + key, SQInput.isToggleable(key) && !SQInput.isLocked(key));
+				}
+				else if (column) {
+					this.addCommand(cf.fieldTitle, column.device + "_" + column.slot + "_" + key, !SQInput.isLocked(key));
+				}
+				else {
+					this.addCommand(cf.fieldTitle, "field_" + key, false);
+				}
+			}
 		}
 	}
 
 
 	Window_SQControlsRemap.prototype.drawAllItems = function() {
 		ImageManager.setIconImage("SQIcons");
+		let columns = remapColumns();
 		let i = 0;
-		for (let key in SQInput.inputs) {
+		let player = remapPlayer();
+		for (let row of remapRows()) {
+			if (row.header !== undefined) {
+				let rect = this.itemRect(i);
+				i += columns.length;
+				this.changeTextColor(ColorManager.systemColor());
+				this.drawText(row.header, rect.x, rect.y, this.innerWidth, 'left');
+				this.resetTextColor();
+				continue;
+			}
+
+			let key = row.control;
 			let cf = SQInput.inputs[key];
-			let rect = this.itemRect(i++);
-			this.drawText(cf.fieldTitle, rect.x, rect.y, 210, 'left');
+			this.changePaintOpacity(!SQInput.isLocked(key));
+			for (let column of columns) {
+				let rect = this.itemRect(i++);
+				if (!column) {
+					this.drawText(cf.fieldTitle, rect.x, rect.y, 210, 'left');
+					continue;
+				}
+
+				// Controls that can't be toggled leave their mode blank
+				if (column.mode) {
+					if (SQInput.isToggleable(key)) {
+						this.drawText(localizedStrings["mode_" + SQInput.getControlMode(key)], rect.x, rect.y, rect.width, 'center');
+					}
+					continue;
+				}
+
+				// Empty binding slots are left blank
+				let binding = player.getBinding(key, column.device, column.slot);
+				if (binding === null) {
+					continue;
+				}
+
+				this.drawTextEx(" " + bindingIconCode(binding, column.device), rect.x, rect.y, 25);
+			}
+		}
+		this.changePaintOpacity(true);
+		ImageManager.resetIconImage();
+	}
+
+	// The name column is wider than the binding columns
+	Window_SQControlsRemap.prototype.itemRect = function(index) {
+		let rect = Window_Command.prototype.itemRect.call(this, index);
+		let column = index % this.maxCols();
+		let colSpacing = this.colSpacing();
+		rect.x = remapColumnX(column, this.innerWidth) + colSpacing / 2 - this.scrollBaseX();
+		rect.width = remapColumnWidth(column, this.innerWidth) - colSpacing;
+		return rect;
+	}
+
+	// Returns the binding column at the given index, or null if it's a control's name
+	Window_SQControlsRemap.prototype.columnAt = function(index) {
+		return remapColumns()[index % this.maxCols()];
+	}
+
+	// Returns the control on the row of the given index, or undefined for a category header
+	Window_SQControlsRemap.prototype.inputAt = function(index) {
+		let row = remapRows()[Math.floor(index / this.maxCols())];
+		return row ? SQInput.inputs[row.control] : undefined;
+	}
 
-			rect = this.itemRect(i++);
-			this.drawTextEx(` \x1bJP[${cf.gamepadButton}]`, rect.x, rect.y, 25);
+	Window_SQControlsRemap.prototype.updateHelp = function() {
+		let input = this.inputAt(this.index());
+		this._helpWindow.setText(input && input.description ? input.description : "");
+	}
 
-			rect = this.itemRect(i++);
-			this.drawTextEx(` \x1bKB[${cf.keyboardButton}]`, rect.x, rect.y, 25);
+	// Steps a row at a time in the given direction, skipping locked rows and headers. Returns -1 if there are none
+	// left. A row's first binding column decides, since the mode column can be disabled on its own
+	Window_SQControlsRemap.prototype.selectableIndexFrom = function(index, direction) {
+		let step = direction * this.maxCols();
+		for (let i = index + step; i >= 0 && i < this.maxItems(); i += step) {
+			if (this.isCommandEnabled(i - (i % this.maxCols()) + 1)) {
+				return i;
+			}
+		}
+
+		return -1;
+	}
+
+	Window_SQControlsRemap.prototype.cursorDown = function() {
+		let index = this.selectableIndexFrom(this.index(), 1);
+		if (index >= 0) {
+			this.smoothSelect(index);
 		}
-		ImageManager.resetIconImage();
 	}
 
 	Window_SQControlsRemap.prototype.cursorUp = function() {
-		if (this.index() <= 2) {
+		let index = this.selectableIndexFrom(this.index(), -1);
+		if (index < 0) {
+			if (this._helpWindow) {
+				this._helpWindow.clear();
+			}
 			this.deactivate();
 			this.scene._optionsWindow.activate();
-			this.scene._optionsWindow.forceSelect(2);
+			this.scene._optionsWindow.forceSelect(this.scene._optionsWindow.maxItems() - 1);
 			SoundManager.playCursor();
 		}
 		else {
-			Window_Selectable.prototype.cursorUp.call(this);
+			this.smoothSelect(index);
 		}
 	}
 
+	// Moves between the binding columns, skipping the name column and wrapping around at the ends of the row
 	Window_SQControlsRemap.prototype.cursorLeft = function() {
-		let mod = this.index() % 3;
-		if (mod <= 1) {
-			this.smoothSelect(this.index() - mod + 2);
+		let bindingColumns = this.maxCols() - 1;
+		let mod = this.index() % this.maxCols();
+		let column = mod <= 1 ? bindingColumns : mod - 1;
+		this.smoothSelect(this.index() - mod + column);
+	}
+
+	Window_SQControlsRemap.prototype.cursorRight = function() {
+		let bindingColumns = this.maxCols() - 1;
+		let mod = this.index() % this.maxCols();
+		let column = mod >= bindingColumns ? 1 : mod + 1;
+		this.smoothSelect(this.index() - mod + column);
+	}
+
+	// Page down and page up jump to the first control of the next or previous category, staying in the same column.
+	// Without categories they page through the list as usual
+	Window_SQControlsRemap.prototype.cursorPagedown = function() {
+		if (!this.selectCategory(1)) {
+			Window_Command.prototype.cursorPagedown.call(this);
 		}
-		else {
-			this.smoothSelect(this.index() - mod + 1);
+	}
+
+	Window_SQControlsRemap.prototype.cursorPageup = function() {
+		if (!this.selectCategory(-1)) {
+			Window_Command.prototype.cursorPageup.call(this);
 		}
 	}
 
-	Window_SQControlsRemap.prototype.cursorRight = function() {
-		let mod = this.index() % 3;
-		if (mod === 2) {
-			this.smoothSelect(this.index() - mod + 1);
+	// Returns false if there are no categories to jump between
+	Window_SQControlsRemap.prototype.selectCategory = function(direction) {
+		let headers = [];
+		remapRows().forEach((row, r) => {
+			if (row.header !== undefined) {
+				headers.push(r);
+			}
+		});
+
+		if (headers.length === 0) {
+			return false;
 		}
-		else {
-			this.smoothSelect(this.index() - mod + 2);
+
+		let maxCols = this.maxCols();
+		let row = Math.floor(this.index() / maxCols);
+		let current = headers.filter(r => r <= row).length - 1;
+		let target = headers[current + direction];
+		if (target !== undefined) {
+			let index = this.selectableIndexFrom(target * maxCols + Math.max(this.index() % maxCols, 1), 1);
+			if (index >= 0) {
+				this.smoothSelect(index);
+			}
 		}
+
+		return true;
 	}
 
 	Window_SQControlsRemap.prototype.maxCols = function() {
-		return 3;
+		return remapColumns().length;
 	}
 
 	///////////////////////////////
@@ -642,6 +1560,7 @@ function Scene_SQControls() {
 	Window_SQControlRemapPrompt.prototype.initialize = function(rect) {
 		Window_Base.prototype.initialize.call(this, rect);
 		this.text = "";
+		this._selectHeldFrames = 0;
 		this.refresh();
 	}
 
@@ -649,16 +1568,15 @@ function Scene_SQControls() {
 		Window_Base.prototype.update.call(this);
 
 		// isLongPressed only looks for the action and can't query a specific button on a controller
-		// look directly at the gamepad state and the press time instead
-		let selectPressed = false;
-		if (SQInput.activeGamepadIndex !== null) {
-			let state = Input._gamepadStates[SQInput.activeGamepadIndex];
-			if (state) {
-				selectPressed = state[8];
-			}
+		// look directly at the gamepad state of the player being remapped and count how long it's held instead
+		if (remapPlayer().getGamepadState()[8]) {
+			this._selectHeldFrames++;
+		}
+		else {
+			this._selectHeldFrames = 0;
 		}
 
-		if (this.active && (selectPressed && Input._pressedTime >= 24 || Input.isPressed("static_escape"))){
+		if (this.active && (this._selectHeldFrames >= 24 || Input.isPressed("static_escape"))){
 			SoundManager.playCancel();
 			this._scene.cancelRemap();
 		}
@@ -682,6 +1600,13 @@ function Scene_SQControls() {
 		ImageManager.resetIconImage();
 	}
 
+	Window_SQControlRemapPrompt.prototype.setMouseRemap = function() {
+		ImageManager.setIconImage(SQInput.buttonIconSet);
+		this.text = `Click a mouse button or scroll for [${this.targetFunction.fieldTitle}]\n\n(\x1bKB[Escape] or hold \x1bJP[8] to cancel)`;
+		this.refresh();
+		ImageManager.resetIconImage();
+	}
+
 	Window_SQControlRemapPrompt.prototype.refresh = function() {
 		if (this.contents) {
 			this.contents.clear();
@@ -709,9 +1634,25 @@ function Scene_SQControls() {
 			this.addCommand(g.id, g.index);
 		}
 
+		// Players after the first can use their own keys on the keyboard instead
+		if (!remapPlayer().isPrimary()) {
+			this.addCommand(localizedStrings["keyboard_label"], "keyboard");
+		}
+
 		this.addCommand(" " + localizedStrings["cancel"], "cancel_button");
 	}
 
+	// The list changes with the connected gamepads and the player being remapped, so the window is resized to fit it
+	Window_SQGamepadSelector.prototype.refresh = function() {
+		this.clearCommandList();
+		this.makeCommandList();
+
+		let height = this.fittingHeight(this.maxItems());
+		this.move(this.x, uiHeight / 2 - height / 2, this.width, height);
+		this.createContents();
+		Window_Selectable.prototype.refresh.call(this);
+	}
+
 	Window_SQGamepadSelector.prototype.update = function() {
 		Window_Command.prototype.update.call(this);
 
@@ -725,13 +1666,16 @@ function Scene_SQControls() {
 	}
 
 	Window_SQGamepadSelector.prototype.drawAllItems = function() {
-		this.gamepads = navigator.getGamepads();
+		this.gamepads = SQInput.getGamepads();
 		Window_Selectable.prototype.drawAllItems.call(this);
 	}
 
 	Window_SQGamepadSelector.prototype.drawItem = function(index) {
 		let rect = this.itemRect(index);
-		if (this.gamepads[index]) {
+		if (this.commandSymbol(index) === "keyboard") {
+			this.drawText(this.commandName(index), rect.x, rect.y, 600, "left");
+		}
+		else if (this.gamepads[index]) {
 			this.drawText(this.gamepads[index].id, rect.x, rect.y, 600, "left");
 		}
 		else {
@@ -771,6 +1715,136 @@ function Scene_SQControls() {
 		this.addCommand(localizedStrings["cancel"], "1");
 	}
 
+	///////////////////////////////
+	// Asks the player a yes or no question, like whether to take a binding that another control is already using
+	function Window_SQConfirmPrompt() {
+		this.initialize(...arguments);
+	}
+
+	Window_SQConfirmPrompt.prototype = Object.create(Window_Command.prototype);
+	Window_SQConfirmPrompt.prototype.constructor = Window_SQConfirmPrompt;
+	Window_SQConfirmPrompt.prototype.initialize = function(rect) {
+		this.text = "";
+		Window_Command.prototype.initialize.call(this, rect);
+	}
+
+	Window_SQConfirmPrompt.prototype.setText = function(text) {
+		this.text = text;
+		this.refresh();
+	}
+
+	// Draw the prompt text, then the Yes/No options
+	Window_SQConfirmPrompt.prototype.drawAllItems = function() {
+		let padding = 10;
+		ImageManager.setIconImage(SQInput.buttonIconSet);
+		this.drawTextEx(this.text, padding, padding, this.innerWidth - (padding * 2));
+		ImageManager.resetIconImage();
+		Window_Command.prototype.drawAllItems.call(this);
+	}
+
+	// Offset items to be below the prompt text
+	Window_SQConfirmPrompt.prototype.itemRect = function(index) {
+		let rect = Window_Command.prototype.itemRect.call(this, index);
+		rect.y += 100;
+		return rect;
+	};
+
+	Window_SQConfirmPrompt.prototype.makeCommandList = function() {
+		this.addCommand(localizedStrings["yes"], "0");
+		this.addCommand(localizedStrings["no"], "1");
+	}
+
+	///////////////////////////////
+	// Tells the player how something went, with just an OK option
+	function Window_SQNotice() {
+		this.initialize(...arguments);
+	}
+
+	Window_SQNotice.prototype = Object.create(Window_SQConfirmPrompt.prototype);
+	Window_SQNotice.prototype.constructor = Window_SQNotice;
+	Window_SQNotice.prototype.makeCommandList = function() {
+		this.addCommand(localizedStrings["ok"], "ok");
+	}
+
+	///////////////////////////////
+	// Lists the exported controls in the controls folder, for importing in NW.js
+	function Window_SQControlFiles() {
+		this.initialize(...arguments);
+	}
+
+	Window_SQControlFiles.prototype = Object.create(Window_Command.prototype);
+	Window_SQControlFiles.prototype.constructor = Window_SQControlFiles;
+	Window_SQControlFiles.prototype.makeCommandList = function() {
+		if (!Utils.isNwjs()) {
+			return;
+		}
+
+		for (let name of SQInput.listControlMapFiles()) {
+			this.addCommand(name, name);
+		}
+	}
+
+	///////////////////////////////
+	// Actions for the active control profile. Presets can't be renamed or deleted
+	function Window_SQProfileActions() {
+		this.initialize(...arguments);
+	}
+
+	Window_SQProfileActions.prototype = Object.create(Window_Command.prototype);
+	Window_SQProfileActions.prototype.constructor = Window_SQProfileActions;
+	Window_SQProfileActions.prototype.initialize = function(rect) {
+		Window_Command.prototype.initialize.call(this, rect);
+		this.setBackgroundType(subWindowBackground);
+	}
+
+	Window_SQProfileActions.prototype.makeCommandList = function() {
+		let isPreset = SQInput.isPreset(SQInput.getActiveProfile());
+		this.addCommand(localizedStrings["new_profile"], "create");
+		this.addCommand(localizedStrings["rename_profile"], "rename", !isPreset);
+		this.addCommand(localizedStrings["duplicate_profile"], "duplicate");
+		this.addCommand(localizedStrings["delete_profile"], "delete", !isPreset);
+	}
+
+	///////////////////////////////
+	// Shows the name being typed for a control profile. Works like the actor name entry, without the face
+	function Window_SQProfileNameEdit() {
+		this.initialize(...arguments);
+	}
+
+	Window_SQProfileNameEdit.prototype = Object.create(Window_NameEdit.prototype);
+	Window_SQProfileNameEdit.prototype.constructor = Window_SQProfileNameEdit;
+	Window_SQProfileNameEdit.prototype.setup = function(name, maxLength) {
+		this._maxLength = maxLength;
+		this._name = name.slice(0, maxLength);
+		this._index = this._name.length;
+		this._defaultName = this._name;
+		this.refresh();
+	}
+
+	Window_SQProfileNameEdit.prototype.faceWidth = function() {
+		return 0;
+	}
+
+	// The name is drawn on the first line, since there's no face to line up with
+	Window_SQProfileNameEdit.prototype.itemRect = function(index) {
+		let rect = Window_NameEdit.prototype.itemRect.call(this, index);
+		rect.y = 0;
+		return rect;
+	}
+
+	Window_SQProfileNameEdit.prototype.refresh = function() {
+		this.contents.clear();
+		for (let i = 0; i < this._maxLength; i++) {
+			this.drawUnderline(i);
+		}
+		for (let i = 0; i < this._name.length; i++) {
+			this.drawChar(i);
+		}
+
+		let rect = this.itemRect(this._index);
+		this.setCursorRect(rect.x, rect.y, rect.width, rect.height);
+	}
+
 	///////////////////////////////
 	// Override the default options menu to add an item to open the control remapper
 	let Window_Options_base_addGeneralOptions = Window_Options.prototype.addGeneralOptions;
@@ -15,6 +15,13 @@
  * (https://udomyon.com/bh/):
  * - Allows controls to be remapped using any keyboard key or gamepad button
  *
+ * - Allows each control to have several keyboard and gamepad bindings, such
+ *   as both WASD and the arrow keys for movement
+ *
+ * - Allows controls to be bound to chords, such as Shift+Z or LB+A
+ *
+ * - Allows controls to be bound to mouse buttons and the mouse wheel
+ *
  * - Adds support for the missing standard gamepad buttons (lt, rt, select,
  *   start, l3, r3)
  *
@@ -78,11 +85,220 @@
  * Input.isRepeated(name) : Returns true when the given control's input has
  * been held for 24 frames.
  *
+ * Input.isLongPressed(name, frames) : Returns true once the given control's
+ * input has been held for longer than the given number of frames, 24 if left
+ * out.
+ *
+ * Input.isDoubleTapped(name, windowFrames) : Returns true on the frame the
+ * given control's input is pressed again within the given number of frames
+ * of the last press, 20 if left out.
+ *
+ * Input.isReleased(name) : Returns true on the frame that the given control's
+ * input stops being pressed.
+ *
+ * Input.getHoldDuration(name) : Returns the number of frames the given
+ * control's input has been held for, or 0 if it isn't pressed.
+ *
+ * Chord bindings join their keys or buttons with "+", with the main key last,
+ * e.g. "ShiftLeft+KeyZ" or "4+0" for LB+A. A chord only fires while all of
+ * its modifiers are held, and while it's held the main key won't also trigger
+ * its own control. Keyboard chords can also be used as the default keyboard
+ * inputs in the Controls parameter.
+ *
+ * Controls can be marked as Locked, so players can't rebind them and other
+ * controls can't swap their keys away, or as Hidden, so they're left out of
+ * the control remapping scene and out of SQInput.resetMap(). Other controls
+ * can't swap keys away from hidden controls either. Hidden controls are
+ * useful for debug or internal controls the game manages itself.
+ *
+ * A control's Category and Description are only used by the control
+ * remapping scene, to group the controls and explain what they do.
+ *
+ * Controls with Can Toggle turned on, and the default dash control, can be
+ * switched by the player between hold and toggle modes from the control
+ * remapping scene. In toggle mode, pressing the control once turns it on
+ * and pressing it again turns it off. Input.isPressed(name), and RMMZ's own
+ * "shift" check for dashing, report whether it's on. Input.isTriggered still
+ * fires on each press. Toggles are turned off on every scene change, unless
+ * Clear Toggles On Scene Change is turned off, and SQInput.clearToggles()
+ * turns them off from a script. Toggle mode only applies to player 1.
+ *
+ * Controls with Buffer Frames set keep each press buffered for that many
+ * frames, so a press made just before the player can act still counts.
+ * SQInput.consumeBuffered(name) returns true if the control has a buffered
+ * press and uses it up, so each press is only acted on once.
+ * SQInput.buffer(name, frames) changes a control's buffer length from a
+ * script, and 0 turns buffering off. Buffered presses are dropped on every
+ * scene change and whenever the input is cleared. Buffering only applies to
+ * player 1.
+ *
+ * Controls can be limited to certain contexts with their Contexts parameter,
+ * so the same key can be used for a "jump" control on the map and a "guard"
+ * control in battle. Controls without any contexts are active everywhere.
+ * The context is picked automatically:
+ * - message: while a message is being shown
+ * - map: on the map scene
+ * - battle: in battle
+ * - menu: everywhere else
+ *
+ * Plugins can override the automatic context with SQInput.pushContext(name)
+ * and restore it with SQInput.popContext(). SQInput.getContext() returns the
+ * current context. Other scenes can be given a context by adding them to
+ * SQInput.sceneContexts, e.g. SQInput.sceneContexts.Scene_Custom = "map".
+ *
+ * Rumble:
+ *
+ * SQInput.rumble(strong, weak, durationMs) rumbles the active gamepad. strong
+ * and weak are the strengths of the low and high frequency motors, from 0 to
+ * 1. Patterns made of several rumbles can be set up in the Rumble Patterns
+ * parameter and played with SQInput.playRumblePattern(name) or the Play
+ * Rumble Pattern plugin command. SQInput.stopRumble() stops it.
+ *
+ * Players can turn rumble off or lower its intensity from the control
+ * options. Nothing happens on gamepads or browsers that can't rumble.
+ *
+ * Extended gamepad buttons:
+ *
+ * Besides the standard buttons, controls can be bound to the Home button
+ * (16), a touchpad click (17) and up to four back paddles (18-21) on
+ * controllers that report them. Their icons go in a group of 8 per button set
+ * in the order Home, touchpad, paddle 1-4, starting at the Extended Button
+ * Icons Offset. With the default offset of 176, they fill the two rows after
+ * the mouse icons, which the included SQIcons.png has for all four button
+ * sets.
+ *
+ * Controller families:
+ *
+ * When the active gamepad changes, its family is detected from its USB vendor
+ * and product IDs or its name, and the matching button set is used. Xbox,
+ * Switch and PlayStation controllers are recognized out of the box. Others
+ * can be added with the Controller Families parameter, or from a script with
+ * SQInput.addControllerFamily({name, label, buttonSet, ids, keywords}).
+ * Gamepads that don't match any family use the first button set.
+ *
+ * Once the player picks a button set from the control options, it's kept
+ * until SQInput.clearButtonSetOverride() is called or the player cycles
+ * back to automatic detection. SQInput.controllerFamily holds the detected
+ * family.
+ *
+ * Non-standard gamepads:
+ *
+ * SQInput expects gamepads to use the standard mapping, where buttons 0-15
+ * and axes 0-3 are always in the same place. Gamepads that report a
+ * different mapping are rearranged with a profile matching their id before
+ * SQInput reads them. Profiles for a few common gamepads are built in. More
+ * can be added with the Gamepad Profiles parameter, or from a script with
+ * SQInput.addGamepadProfile(profile). See the comments on that function for
+ * the format.
+ *
+ * Local multiplayer:
+ *
+ * Extra players are added with the Extra Players parameter. Each one uses
+ * either their own gamepad or their own keys on the shared keyboard, and has
+ * their own bindings, which can be changed from the control options.
+ * SQInput.player(n) returns player n, counting from 1, with the same query
+ * functions as Input:
+ *
+ * SQInput.player(2).isTriggered("attack")
+ * SQInput.player(2).isPressed("up")
+ * SQInput.player(2).getLeftJoystick()
+ *
+ * isRepeated, isLongPressed, getRightJoystick and getTriggerValue work the
+ * same way. Player 1 is the regular Input, so the engine and other plugins
+ * are unaffected. Gamepads are handed out in order to players without a
+ * saved gamepad, skipping player 1's.
+ *
+ * Control profiles:
+ *
+ * Players can keep several named layouts for player 1's controls and switch
+ * between them from the control options. Built-in presets, like
+ * "Left-handed" or "WASD", can be added with the Control Presets parameter.
+ * The preset named by Default Preset Name uses every control's default
+ * inputs. Presets can be activated and duplicated, but not renamed or
+ * deleted. Changes made while a preset is active aren't kept in the preset.
+ *
+ * From a script, SQInput.getProfileNames() lists the presets and profiles,
+ * and SQInput.activateProfile(name), createProfile(name),
+ * renameProfile(name, newName), duplicateProfile(name) and
+ * deleteProfile(name) manage them.
+ *
+ * Renaming and removing controls:
+ *
+ * Saved controls are matched to controls by name, so renaming a control in
+ * an update would lose the player's binding for it. The Control Migrations
+ * parameter lists the renames and removals made in each version of the
+ * controls, numbered from 1. Saved controls are brought up to date when the
+ * config is loaded, including profiles and extra players. Migrations can also
+ * be added from a script before the config loads, with
+ * SQInput.addControlMigration({version, renames: {oldName: newName},
+ * removals: [name]}).
+ *
+ * After loading, controls that weren't in the saved config, like new ones,
+ * give up any key that clashes with one the player chose. Locked controls
+ * keep their keys over everything else.
+ *
+ * Controls for each save:
+ *
+ * With Controls Per Save turned on, players can choose from the control
+ * options whether their changes apply to all saves or only to the game
+ * they're playing. A save with its own controls keeps player 1's bindings,
+ * button set and gamepad in the save file, and they're used whenever it's
+ * loaded. Saves without their own controls, and new games, use the global
+ * controls from the config. SQInput.setControlScope("save") or ("global")
+ * switches from a script.
+ *
+ * Sharing controls:
+ *
+ * SQInput.exportControlMap() returns player 1's bindings and button set as a
+ * short string, and SQInput.importControlMap(text) applies one. Imports are
+ * checked for unknown controls, invalid inputs and a bad checksum before
+ * anything changes, and throw an error if there's a problem.
+ * SQInput.saveControlMapFile(name) saves them as controls/<name>.json in
+ * NW.js, or downloads the file in a browser, and
+ * SQInput.loadControlMapFile(name) returns a promise with a file's text.
+ * SQInput.copyControlMap() and pasteControlMap() use the clipboard instead.
+ *
+ * Simulating input:
+ *
+ * SQInput.simulate.press(name, device), release(name, device) and
+ * tap(name, frames, device) press a control from script through the same
+ * handlers as a real keyboard, gamepad or mouse. device defaults to
+ * "keyboard". Controls use their primary binding, and other names like "ok"
+ * use whatever key is mapped to them.
+ *
+ * SQInput.simulate.connectGamepad(id) connects a simulated gamepad that takes
+ * the place of navigator.getGamepads(). Change it with
+ * SQInput.simulate.setButton(gamepad, index, value) and
+ * setAxis(gamepad, axis, value). SQInput.setGamepadProvider(provider) can be
+ * used to supply your own list of gamepads instead. SQInput.simulate.reset()
+ * releases everything and goes back to the real devices.
+ *
+ * Input recording and playback:
+ *
+ * SQInput.startRecording() starts recording the control state of every frame,
+ * from the keyboard, mouse and gamepad alike. SQInput.stopRecording() stops
+ * and returns the recording, which can be saved with
+ * SQInput.saveRecording(recording, name). In NW.js it's saved to
+ * recordings/<name>.json. In a browser it's downloaded instead.
+ *
+ * SQInput.loadRecording(name) loads recordings/<name>.json and returns a
+ * promise. SQInput.startPlayback(recording, options) replays it through
+ * Input.update, so isTriggered, isPressed, isRepeated and the joystick
+ * functions behave as they did when it was recorded. Playback stops when a
+ * real key or button is pressed, unless options.stopOnInput is false.
+ * options.onEnd is called when playback ends. SQInput.stopPlayback() stops
+ * it early.
+ *
+ * Recordings store the seed of their first frame. Math.random is replaced by
+ * a generator using that seed while recording and during playback, so random
+ * results are repeated as well.
+ *
  * Additional codes for embedding icons in text:
  *
  * \CTRL[name] to draw the icon for the mapped key on the last-used device.
  * e.g.: \CTRL["ok"] will show the keyboard or gamepad icon associated with
- * the "ok" function.
+ * the "ok" function. When a control has more than one binding, the icon for
+ * the primary binding is shown.
  *
  * \KBCTRL[name] shows the keyboard icon only. e.g. \KBCTRL["cancel"] will
  * show specifically the keyboard icon for the cancel function.
@@ -90,6 +306,21 @@
  * \JPCTRL[name] shows the gamepad icon only. e.g. \JPCTRL["menu"] will show
  *  specifically the gamepad icon for the menu function.
  *
+ * \MS[code] shows the icon for a mouse code, e.g. \MS[Mouse3].
+ *
+ * \MSCTRL[name] shows the mouse icon only. e.g. \MSCTRL["dash"] will show
+ *  specifically the mouse icon for the dash function. When the keyboard was
+ *  the last device used, \CTRL shows the mouse icon for controls that have a
+ *  mouse binding but no keyboard binding, and when the mouse was, it shows
+ *  the mouse icon for controls that have a mouse binding.
+ *
+ * Mouse bindings use the codes Mouse0 (left button), Mouse1 (middle button),
+ * Mouse2 (right button), Mouse3 (back), Mouse4 (forward), WheelUp and
+ * WheelDown. Mouse icons go after the keyboard icons in the icons file, in
+ * that order, unless the "mouseIconOffset" parameter says otherwise. In the
+ * included SQIcons.png, they're the first 7 icons of the row after the
+ * keyboard icons (160-166).
+ *
  * Two scaled-down icons can be drawn together in the space of one icon. This
  * is intended for multi-part inputs like diagonals or displaying both keyboard
  * and gamepad inputs in a more compact way. The codes use the following format:
@@ -98,6 +329,9 @@
  * CODE1 and CODE2 refer to the above custom codes CTRL, KBCTRL and JPCTRL.
  * name1 and name2 are the names of the inputs.
  *
+ * Chords are drawn the same way, with each pair of keys sharing the space of
+ * a single icon. In \DBL codes, only the main key of a chord is shown.
+ *
  * For example, displaying the down-right diagonal icons using the active
  * control method would look this: \DBL|CTRL|CTRL[down|right]
  *
@@ -125,6 +359,23 @@
  * each having float values representing the stick's position in that axis.
  * Values range from -1 to 1, with 0 being neutral.
  *
+ * Both joystick functions return values after the deadzone and response
+ * curve from the Left Stick Settings and Right Stick Settings parameters have
+ * been applied. Players can override the deadzones and response curve from
+ * the control options. With no deadzones and a linear curve, which is the
+ * default, the sticks report their raw positions.
+ *
+ * Input.getTriggerValue(trigger) : Returns how far the "lt" or "rt" trigger is
+ * pulled, from 0 to 1
+ *
+ * Stick directions and analog trigger pulls can also be bound to controls
+ * like any other button, e.g. a "look_up" control on Right Stick Up. Each one
+ * counts as pressed once it passes its threshold from the Analog Input
+ * Thresholds parameter. Thresholds can also be changed from scripts with
+ * SQInput.setAnalogThreshold(name, value), where name is one of ls_up,
+ * ls_down, ls_left, ls_right, rs_up, rs_down, rs_left, rs_right, lt or rt.
+ * The left stick thresholds also control when the stick moves the D-pad.
+ *
  * @ ==========================================================================
  * @ Plugin Parameters
  * @ ==========================================================================
@@ -147,10 +398,203 @@
  * @description If the buttons icon file contains other icons, such as if the standard icons set was expanded to include button icons, this value represents how many icons to skip in order to get to the first button icon.
  * @default 0
  *
+ * @param mouseIconOffset
+ * @text Mouse Icons Offset
+ * @type number
+ * @description Index of the first mouse icon in the button icons file, counted from the first button icon. Defaults to the row after the keyboard icons.
+ * @default 160
+ *
+ * @param extendedIconOffset
+ * @text Extended Button Icons Offset
+ * @type number
+ * @description Index of the first Home, touchpad and paddle icon in the button icons file, counted from the first button icon. Each button set has a group of 8 icons.
+ * @default 176
+ *
+ * @param clearTogglesOnSceneChange
+ * @text Clear Toggles On Scene Change
+ * @type boolean
+ * @description Turns off controls in toggle mode whenever the scene changes
+ * @default true
+ *
+ * @param perSaveControls
+ * @text Controls Per Save
+ * @type boolean
+ * @description Lets players keep different controls for each save file, instead of only one set for every save
+ * @default false
+ *
+ * @param conflictPolicy
+ * @text Binding Conflicts
+ * @type select
+ * @option Swap the two controls' bindings
+ * @value swap
+ * @option Reject the new binding
+ * @value reject
+ * @option Allow both controls to use it
+ * @value allow
+ * @option Ask the player, then swap
+ * @value ask
+ * @description What happens when a player binds a key or button that another control already uses
+ * @default swap
+ *
+ * @param controlMigrations
+ * @text Control Migrations
+ * @type struct<ControlMigration>[]
+ * @description Controls that were renamed or removed in updates, so players' saved controls carry over
+ * @default []
+ *
+ * @param controlPresets
+ * @text Control Presets
+ * @type struct<ControlPreset>[]
+ * @description Built-in layouts players can switch to from the control options, e.g. "Left-handed" or "WASD"
+ * @default []
+ *
+ * @param defaultPresetName
+ * @text Default Preset Name
+ * @type string
+ * @description The name of the built-in preset that uses each control's default inputs
+ * @default Default
+ *
+ * @param bindingSlots
+ * @text Bindings Per Device
+ * @type number
+ * @min 1
+ * @max 4
+ * @description The number of keyboard keys and gamepad buttons that can be bound to each control. The first one is the primary binding, which is used when drawing icons.
+ * @default 2
+ *
+ * @param analogThresholds
+ * @text Analog Input Thresholds
+ * @type struct<AnalogThreshold>[]
+ * @description How far each stick direction or trigger needs to be pushed to count as pressed. Inputs not listed here use 0.5.
+ * @default []
+ *
+ * @param leftStickSettings
+ * @text Left Stick Settings
+ * @type struct<StickSettings>
+ * @description Deadzone and response curve for the left stick. These also affect when the stick moves the D-pad.
+ * @default {"deadzoneMode":"radial","innerDeadzone":"0","outerDeadzone":"1","responseCurve":"linear","curveExponent":"2"}
+ *
+ * @param rightStickSettings
+ * @text Right Stick Settings
+ * @type struct<StickSettings>
+ * @description Deadzone and response curve for the right stick.
+ * @default {"deadzoneMode":"radial","innerDeadzone":"0","outerDeadzone":"1","responseCurve":"linear","curveExponent":"2"}
+ *
+ * @param controllerFamilies
+ * @text Controller Families
+ * @type struct<ControllerFamily>[]
+ * @description Extra controllers to recognize, checked before the built-in Xbox, PlayStation and Switch families. Each one picks a button set.
+ * @default []
+ *
+ * @param gamepadProfiles
+ * @text Gamepad Profiles
+ * @type struct<GamepadProfile>[]
+ * @description Button and axis layouts for gamepads that don't report the standard mapping. Checked before the built-in profiles.
+ * @default []
+ *
+ * @param playerSlots
+ * @text Extra Players
+ * @type struct<PlayerSlot>[]
+ * @description Players after the first for local multiplayer. Player 1 always uses the regular controls.
+ * @default []
+ *
  * @param customControls
  * @text Controls
  * @type struct<Control>[]
  * @description A list of custom controls. The default controls are: up, down, left, right, ok, cancel and menu. Adding a custom control with one of these as its name allows overriding the defaults.
+ *
+ * @param rumblePatterns
+ * @text Rumble Patterns
+ * @type struct<RumblePattern>[]
+ * @description Named rumble effects that can be played from scripts or plugin commands
+ * @default []
+ *
+ * @command playRumblePattern
+ * @text Play Rumble Pattern
+ * @desc Plays one of the rumble patterns from the plugin parameters on the active gamepad
+ *
+ * @arg name
+ * @text Pattern Name
+ * @type string
+ * @desc The name of the rumble pattern
+ *
+ * @command rumble
+ * @text Rumble
+ * @desc Rumbles the active gamepad
+ *
+ * @arg strong
+ * @text Strong Motor
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @desc Strength of the low-frequency motor, from 0 to 1
+ * @default 1
+ *
+ * @arg weak
+ * @text Weak Motor
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @desc Strength of the high-frequency motor, from 0 to 1
+ * @default 1
+ *
+ * @arg duration
+ * @text Duration
+ * @type number
+ * @min 1
+ * @desc How long to rumble, in milliseconds
+ * @default 200
+ *
+ * @command stopRumble
+ * @text Stop Rumble
+ * @desc Stops any rumble on the active gamepad, including patterns still playing
+ */
+/*~struct~RumblePattern:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc The name used to play this pattern, e.g. "hit" or "explosion"
+ *
+ * @param steps
+ * @text Steps
+ * @type struct<RumbleStep>[]
+ * @desc The rumbles that make up the pattern, played one after another
+ * @default []
+ */
+/*~struct~RumbleStep:
+ * @param strong
+ * @text Strong Motor
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @desc Strength of the low-frequency motor, from 0 to 1
+ * @default 1
+ *
+ * @param weak
+ * @text Weak Motor
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @desc Strength of the high-frequency motor, from 0 to 1
+ * @default 1
+ *
+ * @param duration
+ * @text Duration
+ * @type number
+ * @min 1
+ * @desc How long this step rumbles, in milliseconds
+ * @default 200
+ *
+ * @param pause
+ * @text Pause After
+ * @type number
+ * @min 0
+ * @desc How long to wait after this step before the next one, in milliseconds
+ * @default 0
  */
 /*~struct~Control:
  * @param name
@@ -163,6 +607,16 @@
  * @type string
  * @desc Text to display on the control remapping scene for this control
  *
+ * @param category
+ * @text Category
+ * @type string
+ * @desc Controls with the same category are grouped under a header on the control remapping scene
+ *
+ * @param description
+ * @text Description
+ * @type multiline_string
+ * @desc Explains what the control does. Shown in a help window on the control remapping scene
+ *
  * @param keyboardInput
  * @text Default Keyboard Input
  * @type string
@@ -203,7 +657,421 @@
  * @value 14
  * @option D-pad Right
  * @value 15
+ * @option Home
+ * @value 16
+ * @option Touchpad
+ * @value 17
+ * @option Paddle 1
+ * @value 18
+ * @option Paddle 2
+ * @value 19
+ * @option Paddle 3
+ * @value 20
+ * @option Paddle 4
+ * @value 21
+ * @option Left Stick Up
+ * @value 32
+ * @option Left Stick Down
+ * @value 33
+ * @option Left Stick Left
+ * @value 34
+ * @option Left Stick Right
+ * @value 35
+ * @option Right Stick Up
+ * @value 36
+ * @option Right Stick Down
+ * @value 37
+ * @option Right Stick Left
+ * @value 38
+ * @option Right Stick Right
+ * @value 39
+ * @option Left Trigger (Analog)
+ * @value 40
+ * @option Right Trigger (Analog)
+ * @value 41
  * @desc Identifier for this control's default controller input
+ *
+ * @param mouseInput
+ * @text Default Mouse Input
+ * @type select
+ * @option None
+ * @value
+ * @option Left Button
+ * @value Mouse0
+ * @option Middle Button
+ * @value Mouse1
+ * @option Right Button
+ * @value Mouse2
+ * @option Back Button
+ * @value Mouse3
+ * @option Forward Button
+ * @value Mouse4
+ * @option Wheel Up
+ * @value WheelUp
+ * @option Wheel Down
+ * @value WheelDown
+ * @desc Identifier for this control's default mouse input
+ *
+ * @param contexts
+ * @text Contexts
+ * @type combo[]
+ * @option map
+ * @option battle
+ * @option menu
+ * @option message
+ * @desc The contexts where this control is active. Leave empty to make it active everywhere. Custom contexts pushed by plugins can be typed in.
+ * @default []
+ *
+ * @param locked
+ * @text Locked
+ * @type boolean
+ * @desc Locked controls are greyed out on the control remapping scene and always keep their default inputs
+ * @default false
+ *
+ * @param hidden
+ * @text Hidden
+ * @type boolean
+ * @desc Hidden controls don't appear on the control remapping scene and aren't changed by resetting the controls
+ * @default false
+ *
+ * @param toggleable
+ * @text Can Toggle
+ * @type boolean
+ * @desc Lets the player switch this control between being held and toggling on and off with each press
+ * @default false
+ *
+ * @param bufferFrames
+ * @text Buffer Frames
+ * @type number
+ * @min 0
+ * @desc How many frames a press of this control stays buffered for SQInput.consumeBuffered. 0 doesn't buffer it
+ * @default 0
+ *
+ * @param secondaryKeyboardInputs
+ * @text Secondary Keyboard Inputs
+ * @type string[]
+ * @desc Additional keyboard inputs for this control, using the same codes as the default keyboard input. Limited by the Bindings Per Device parameter.
+ *
+ * @param secondaryControllerInputs
+ * @text Secondary Controller Inputs
+ * @type select[]
+ * @option Face Button A
+ * @value 0
+ * @option Face Button B
+ * @value 1
+ * @option Face Button X
+ * @value 2
+ * @option Face Button Y
+ * @value 3
+ * @option Left Bumper
+ * @value 4
+ * @option Right Bumper
+ * @value 5
+ * @option Left Trigger
+ * @value 6
+ * @option Right Trigger
+ * @value 7
+ * @option Select
+ * @value 8
+ * @option Start
+ * @value 9
+ * @option L3
+ * @value 10
+ * @option R3
+ * @value 11
+ * @option D-pad Up
+ * @value 12
+ * @option D-pad Down
+ * @value 13
+ * @option D-pad Left
+ * @value 14
+ * @option D-pad Right
+ * @value 15
+ * @option Home
+ * @value 16
+ * @option Touchpad
+ * @value 17
+ * @option Paddle 1
+ * @value 18
+ * @option Paddle 2
+ * @value 19
+ * @option Paddle 3
+ * @value 20
+ * @option Paddle 4
+ * @value 21
+ * @option Left Stick Up
+ * @value 32
+ * @option Left Stick Down
+ * @value 33
+ * @option Left Stick Left
+ * @value 34
+ * @option Left Stick Right
+ * @value 35
+ * @option Right Stick Up
+ * @value 36
+ * @option Right Stick Down
+ * @value 37
+ * @option Right Stick Left
+ * @value 38
+ * @option Right Stick Right
+ * @value 39
+ * @option Left Trigger (Analog)
+ * @value 40
+ * @option Right Trigger (Analog)
+ * @value 41
+ * @desc Additional controller inputs for this control. Limited by the Bindings Per Device parameter.
+ */
+/*~struct~ControllerFamily:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc An identifier for the family, e.g. "8bitdo". Using the name of a built-in family replaces it.
+ *
+ * @param label
+ * @text Label
+ * @type string
+ * @desc The name shown in the control options
+ *
+ * @param buttonSet
+ * @text Button Set
+ * @type number
+ * @min 0
+ * @max 3
+ * @desc The button set to use for this family, counting from 0
+ * @default 0
+ *
+ * @param ids
+ * @text USB IDs
+ * @type string[]
+ * @desc Vendor IDs, or vendor and product IDs as "vendor:product", in hex. e.g. 2dc8 or 2dc8:6101
+ * @default []
+ *
+ * @param keywords
+ * @text Keywords
+ * @type string[]
+ * @desc Words to look for in the gamepad's name, ignoring case
+ * @default []
+ */
+/*~struct~GamepadProfile:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc Identifies the profile. Using the name of a built-in profile replaces it.
+ *
+ * @param ids
+ * @text USB IDs
+ * @type string[]
+ * @desc Vendor IDs, or vendor and product IDs as "vendor:product", in hex. e.g. 0079:0006
+ * @default []
+ *
+ * @param keywords
+ * @text Keywords
+ * @type string[]
+ * @desc Words to look for in the gamepad's name, ignoring case
+ * @default []
+ *
+ * @param buttons
+ * @text Buttons
+ * @type string
+ * @desc The gamepad's button index for each standard button, in order and separated by commas. Leave an entry blank if there's no such button.
+ * @default 0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16
+ *
+ * @param axes
+ * @text Axes
+ * @type string
+ * @desc The gamepad's axis index for left stick x, left stick y, right stick x and right stick y, separated by commas
+ * @default 0,1,2,3
+ *
+ * @param axisButtons
+ * @text Axis Buttons
+ * @type string
+ * @desc Standard buttons driven by an axis, as button:axis followed by + or -. e.g. 12:1-, 13:1+ for a D-pad on axis 1
+ * @default
+ *
+ * @param hat
+ * @text Hat Switch Axis
+ * @type string
+ * @desc The axis of a hat switch that drives the D-pad. Leave blank if the gamepad doesn't have one.
+ * @default
+ */
+/*~struct~PlayerSlot:
+ * @param device
+ * @text Device
+ * @type select
+ * @option Gamepad
+ * @value gamepad
+ * @option Keyboard
+ * @value keyboard
+ * @desc The device this player starts with. Players can change it from the control options.
+ * @default gamepad
+ *
+ * @param keyboardInputs
+ * @text Keyboard Bindings
+ * @type struct<PlayerKeyboardInput>[]
+ * @desc Default keyboard keys for this player. Controls can be listed more than once for extra bindings.
+ * @default []
+ */
+/*~struct~PlayerKeyboardInput:
+ * @param control
+ * @text Control
+ * @type string
+ * @desc The name of the control, e.g. ok or up
+ *
+ * @param keyboardInput
+ * @text Keyboard Input
+ * @type string
+ * @desc The key's code, e.g. KeyJ or Numpad8
+ */
+/*~struct~ControlMigration:
+ * @param version
+ * @text Version
+ * @type number
+ * @min 1
+ * @desc Migrations are applied in order of version to controls saved before it. Use a higher number for each update.
+ * @default 1
+ *
+ * @param renames
+ * @text Renamed Controls
+ * @type struct<ControlRename>[]
+ * @desc Controls whose name changed in this version
+ * @default []
+ *
+ * @param removals
+ * @text Removed Controls
+ * @type string[]
+ * @desc Names of controls that were removed in this version
+ * @default []
+ */
+/*~struct~ControlRename:
+ * @param from
+ * @text Old Name
+ * @type string
+ * @desc The name the control had before this version
+ *
+ * @param to
+ * @text New Name
+ * @type string
+ * @desc The name the control has now
+ */
+/*~struct~ControlPreset:
+ * @param name
+ * @text Name
+ * @type string
+ * @desc The name shown in the control options
+ *
+ * @param controls
+ * @text Controls
+ * @type struct<PresetControl>[]
+ * @desc The inputs this preset changes. Controls that aren't listed use their default inputs.
+ * @default []
+ */
+/*~struct~PresetControl:
+ * @param control
+ * @text Control
+ * @type string
+ * @desc The name of the control, e.g. ok or up
+ *
+ * @param keyboardInputs
+ * @text Keyboard Inputs
+ * @type string[]
+ * @desc Keyboard codes for this control, e.g. KeyJ or Numpad8. The first one is the primary binding.
+ * @default []
+ *
+ * @param controllerInputs
+ * @text Controller Inputs
+ * @type string[]
+ * @desc Gamepad button numbers for this control, using the same numbers as the Default Controller Input of a Control
+ * @default []
+ *
+ * @param mouseInputs
+ * @text Mouse Inputs
+ * @type string[]
+ * @desc Mouse inputs for this control, e.g. Mouse0 or WheelUp
+ * @default []
+ */
+/*~struct~AnalogThreshold:
+ * @param input
+ * @text Input
+ * @type select
+ * @option Left Stick Up
+ * @value ls_up
+ * @option Left Stick Down
+ * @value ls_down
+ * @option Left Stick Left
+ * @value ls_left
+ * @option Left Stick Right
+ * @value ls_right
+ * @option Right Stick Up
+ * @value rs_up
+ * @option Right Stick Down
+ * @value rs_down
+ * @option Right Stick Left
+ * @value rs_left
+ * @option Right Stick Right
+ * @value rs_right
+ * @option Left Trigger
+ * @value lt
+ * @option Right Trigger
+ * @value rt
+ * @desc The analog input this threshold applies to
+ *
+ * @param threshold
+ * @text Threshold
+ * @type number
+ * @decimals 2
+ * @min 0.01
+ * @max 0.99
+ * @desc How far past this value the input needs to be pushed to count as pressed, from 0.01 to 0.99
+ * @default 0.5
+ */
+/*~struct~StickSettings:
+ * @param deadzoneMode
+ * @text Deadzone Mode
+ * @type select
+ * @option Axial
+ * @value axial
+ * @option Radial
+ * @value radial
+ * @desc Axial applies the deadzone to each axis separately. Radial applies it to the distance from the center, which keeps diagonals smooth.
+ * @default radial
+ *
+ * @param innerDeadzone
+ * @text Inner Deadzone
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 0.9
+ * @desc Stick positions closer to the center than this are treated as neutral
+ * @default 0
+ *
+ * @param outerDeadzone
+ * @text Outer Deadzone
+ * @type number
+ * @decimals 2
+ * @min 0.1
+ * @max 1
+ * @desc Stick positions past this are treated as fully pushed
+ * @default 1
+ *
+ * @param responseCurve
+ * @text Response Curve
+ * @type select
+ * @option Linear
+ * @value linear
+ * @option Quadratic
+ * @value quadratic
+ * @option Custom Exponent
+ * @value exponent
+ * @desc How the stick's position is scaled after the deadzone is applied. Quadratic gives finer control near the center.
+ * @default linear
+ *
+ * @param curveExponent
+ * @text Custom Exponent
+ * @type number
+ * @decimals 2
+ * @min 0.1
+ * @desc The exponent used by the Custom Exponent response curve
+ * @default 2
  */
 //#endregion
 
@@ -212,6 +1080,11 @@ function SQInput() {
 	throw new Error("SQInput is a static class");
 }
 
+// A local multiplayer player, with its own gamepad or keyboard half, bindings and input state
+function SQInput_Player() {
+	this.initialize(...arguments);
+}
+
 (function() {
 	let sqInputParams = PluginManager.parameters("SQInput");
 
@@ -234,6 +1107,41 @@ function SQInput() {
 		}
 	};
 
+	// The context used for each scene. Scenes not listed here, or inheriting from one listed here, use "menu"
+	SQInput.sceneContexts = {
+		Scene_Map: "map",
+		Scene_Battle: "battle"
+	};
+
+	// Contexts pushed by plugins with SQInput.pushContext
+	SQInput._contextStack = [];
+
+	// The context that the mappers were last built for
+	SQInput._currentContext = null;
+
+	// Controls whose keys should report the names that RMMZ checks for instead of their own names
+	SQInput.RMMZAliases = {
+		keyboard: {
+			cancel: ["cancel"],
+			confirm: ["confirm", "ok"],
+			dash: ["shift"],
+			cycle_left: ["pageup"],
+			cycle_right: ["pagedown"]
+		},
+		gamepad: {
+			cancel: ["cancel"],
+			confirm: ["confirm", "ok"],
+			dash: ["shift"]
+		},
+		mouse: {
+			cancel: ["cancel"],
+			confirm: ["confirm", "ok"],
+			dash: ["shift"],
+			cycle_left: ["pageup"],
+			cycle_right: ["pagedown"]
+		}
+	};
+
 	// The gamepad icons aren't in the same order as the bit field representing the pressed buttons
 	// Map the index of the button in the bit field to the appropriate icon index
 	SQInput.gamepadIndexToIconIndex = {
@@ -252,7 +1160,44 @@ function SQInput() {
 		4: 12,
 		5: 13,
 		6: 14,
-		7: 15
+		7: 15,
+		// Analog inputs don't have their own icons. Stick directions use the stick's click icon, and trigger pulls
+		// use the trigger's icon
+		32: 4,
+		33: 4,
+		34: 4,
+		35: 4,
+		36: 5,
+		37: 5,
+		38: 5,
+		39: 5,
+		40: 14,
+		41: 15
+	};
+
+	// Icons for the extended buttons, counted from the start of each button set's extended icons
+	SQInput.gamepadIndexToExtendedIconIndex = {
+		16: 0, // Home
+		17: 1, // Touchpad
+		18: 2, // Paddle 1
+		19: 3, // Paddle 2
+		20: 4, // Paddle 3
+		21: 5  // Paddle 4
+	};
+
+	// Analog inputs that can be bound like buttons. They use indexes past the standard buttons, and are
+	// pressed while the axis or trigger value is above the input's threshold
+	SQInput.analogButtons = {
+		32: {name: "ls_up",    axis: 1, direction: -1},
+		33: {name: "ls_down",  axis: 1, direction: 1},
+		34: {name: "ls_left",  axis: 0, direction: -1},
+		35: {name: "ls_right", axis: 0, direction: 1},
+		36: {name: "rs_up",    axis: 3, direction: -1},
+		37: {name: "rs_down",  axis: 3, direction: 1},
+		38: {name: "rs_left",  axis: 2, direction: -1},
+		39: {name: "rs_right", axis: 2, direction: 1},
+		40: {name: "lt",       button: 6},
+		41: {name: "rt",       button: 7}
 	};
 
 	// Default functions
@@ -260,62 +1205,83 @@ function SQInput() {
 		up: {
 			name: "up",
 			fieldTitle: "Up",
-			keyboardButton: 'ArrowUp',
-			gamepadButton: 12,
+			bindings: {
+				keyboard: ['ArrowUp'],
+				gamepad: [12],
+			},
 		},
 		down: {
 			name: "down",
 			fieldTitle: "Down",
-			keyboardButton: 'ArrowDown',
-			gamepadButton: 13,
+			bindings: {
+				keyboard: ['ArrowDown'],
+				gamepad: [13],
+			},
 		},
 		left: {
 			name: "left",
 			fieldTitle: "Left",
-			keyboardButton: 'ArrowLeft',
-			gamepadButton: 14,
+			bindings: {
+				keyboard: ['ArrowLeft'],
+				gamepad: [14],
+			},
 		},
 		right: {
 			name: "right",
 			fieldTitle: "Right",
-			keyboardButton: 'ArrowRight',
-			gamepadButton: 15,
+			bindings: {
+				keyboard: ['ArrowRight'],
+				gamepad: [15],
+			},
 		},
 		cancel: {
 			name: "cancel",
 			fieldTitle: "Cancel",
-			keyboardButton: 'KeyX', // X
-			gamepadButton: 1,
+			bindings: {
+				keyboard: ['KeyX'], // X
+				gamepad: [1],
+			},
 		},
 		confirm: {
 			name: "confirm",
 			fieldTitle: "Confirm",
-			keyboardButton: 'KeyZ', // Z
-			gamepadButton: 0,
+			bindings: {
+				keyboard: ['KeyZ'], // Z
+				gamepad: [0],
+			},
 		},
 		menu: {
 			name: "menu",
 			fieldTitle: "Menu",
-			keyboardButton: "KeyS", // S
-			gamepadButton: 3,
+			bindings: {
+				keyboard: ["KeyS"], // S
+				gamepad: [3],
+			},
 		},
 		dash: {
 			name: "dash",
 			fieldTitle: "Dash",
-			keyboardButton: "KeyQ",
-			gamepadButton: 6, // Left Trigger
+			bindings: {
+				keyboard: ["KeyQ"],
+				gamepad: [6], // Left Trigger
+			},
+			toggleable: true,
 		},
 		cycle_right: {
 			name: "pageup",
 			fieldTitle: "Page Up",
-			keyboardButton: "PageUp",
-			gamepadButton: 7,
+			bindings: {
+				keyboard: ["PageUp"],
+				gamepad: [7],
+			},
 		},
 		cycle_left: {
 			name: "pagedown",
 			fieldTitle:  "Page Down",
-			keyboardButton: "PageDown",
-			gamepadButton: 8
+			bindings: {
+				keyboard: ["PageDown"],
+				gamepad: [8],
+			},
 		},
 	};
 
@@ -338,7 +1304,23 @@ function SQInput() {
 		12: "up", // D-pad up
 		13: "down", // D-pad down
 		14: "left", // D-pad left
-		15: "right" // D-pad right
+		15: "right", // D-pad right
+		16: "home",
+		17: "touchpad",
+		18: "paddle1",
+		19: "paddle2",
+		20: "paddle3",
+		21: "paddle4",
+		32: "ls_up",
+		33: "ls_down",
+		34: "ls_left",
+		35: "ls_right",
+		36: "rs_up",
+		37: "rs_down",
+		38: "rs_left",
+		39: "rs_right",
+		40: "lt_analog",
+		41: "rt_analog"
 	};
 
 	SQInput.codeToIconIndex = {
@@ -457,7 +1439,28 @@ function SQInput() {
 		"Escape": 95
 	}
 
-	// The last device used. Either K for keyboard or G for gamepad. This can affect which icons are drawn
+	// Every KeyboardEvent.code a keyboard binding can use. The remapper can capture keys that don't have their
+	// own icon, so those are listed along with the ones in codeToIconIndex
+	SQInput.keyboardCodes = Object.keys(SQInput.codeToIconIndex).filter(code => /^[A-Z]/.test(code)).concat([
+		"F1", "F2", "F3", "F4", "F5", "F6", "F7", "F8", "F9", "F10", "F11", "F12",
+		"F13", "F14", "F15", "F16", "F17", "F18", "F19", "F20", "F21", "F22", "F23", "F24",
+		"NumpadAdd", "NumpadSubtract", "NumpadMultiply", "NumpadDivide", "NumpadDecimal", "NumpadComma",
+		"NumpadEnter", "NumpadEqual", "NumLock", "ScrollLock", "PrintScreen", "ContextMenu", "MetaLeft", "MetaRight",
+		"IntlBackslash", "IntlRo", "IntlYen", "Convert", "NonConvert", "KanaMode", "Lang1", "Lang2"
+	]);
+
+	// Icon offsets for mouse inputs, counted from baseMouseIconIndex
+	SQInput.mouseCodeToIconIndex = {
+		"Mouse0": 0,
+		"Mouse1": 1,
+		"Mouse2": 2,
+		"Mouse3": 3,
+		"Mouse4": 4,
+		"WheelUp": 5,
+		"WheelDown": 6
+	};
+
+	// The last device used. Either "keyboard", "gamepad" or "mouse". This can affect which icons are drawn
 	SQInput.lastInputDevice = "keyboard";
 
 	SQInput.buttonIconSet = sqInputParams["buttonIconFile"] || "SQIcons";
@@ -481,37 +1484,311 @@ function SQInput() {
 	// Icon index where keyboard icons start
 	SQInput.baseKeyboardIconIndex = SQInput.baseControlIconIndex + (SQInput.buttonSetSize * SQInput.maxButtonSets);
 
+	// Icon index where mouse icons start
+	SQInput.baseMouseIconIndex = SQInput.baseControlIconIndex + Number(sqInputParams["mouseIconOffset"] || 160);
+
+	// Icon index where the extended button icons (Home, touchpad and paddles) start. Each button set has its own
+	// group of icons, one after the other
+	SQInput.baseExtendedIconIndex = SQInput.baseControlIconIndex + Number(sqInputParams["extendedIconOffset"] || 176);
+
+	// Number of icons in each button set's group of extended button icons
+	SQInput.extendedIconSetSize = 8;
+
 	// Index of the button set that should be used
 	SQInput.activeButtonSet = 0;
 
+	// Whether the player chose the button set themselves, instead of using the one for their controller family
+	SQInput.buttonSetOverridden = false;
+
+	// Used when a gamepad doesn't match any known controller family
+	SQInput.genericControllerFamily = {name: "generic", label: "Generic", buttonSet: 0, ids: [], keywords: []};
+
+	// Known controllers, matched by USB vendor ID (optionally with a product ID, as "vendor:product") or by
+	// keywords in the gamepad's id. The button sets follow the order of the default icons file
+	SQInput.controllerFamilies = [
+		{name: "xbox", label: "Xbox", buttonSet: 0, ids: ["045e"], keywords: ["xbox", "xinput"]},
+		{name: "switch", label: "Switch", buttonSet: 1, ids: ["057e"], keywords: ["nintendo", "pro controller", "joy-con"]},
+		{name: "playstation", label: "PlayStation", buttonSet: 3, ids: ["054c"], keywords: ["playstation", "dualshock", "dualsense"]}
+	];
+
+	// The family of the active gamepad
+	SQInput.controllerFamily = SQInput.genericControllerFamily;
+
+	// Number of gamepad buttons that can be bound. The standard mapping has 17 (0-16, with 16 being Home). Some
+	// controllers also report a touchpad click (17) and back paddles (18-21)
+	SQInput.gamepadButtonCount = 22;
+
+	// Profiles for gamepads that don't report the standard mapping. See SQInput.addGamepadProfile
+	SQInput.gamepadProfiles = [
+		{
+			name: "Logitech F310 (DirectInput)",
+			ids: ["046d:c216"],
+			keywords: [],
+			buttons: [1, 2, 0, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+			axes: [0, 1, 2, 5],
+			axisButtons: {},
+			hat: 9
+		},
+		{
+			name: "DragonRise Generic USB Gamepad",
+			ids: ["0079:0006"],
+			keywords: [],
+			buttons: [2, 1, 3, 0, 4, 5, 6, 7, 8, 9, 10, 11],
+			axes: [0, 1, 2, 5],
+			axisButtons: {},
+			hat: 9
+		},
+		{
+			name: "USB SNES Gamepad",
+			ids: ["0810:e501", "12bd:d015"],
+			keywords: [],
+			buttons: [2, 1, 3, 0, 4, 5, null, null, 8, 9],
+			axes: [null, null, null, null],
+			axisButtons: {
+				12: {axis: 1, direction: -1},
+				13: {axis: 1, direction: 1},
+				14: {axis: 0, direction: -1},
+				15: {axis: 0, direction: 1}
+			}
+		}
+	];
+
 	// Index of the gamepad being used. Defaults to the first active gamepad.
 	SQInput.activeGamepadIndex = null;
 
-	// Name of the gamepad selected by users in the gamepad selection window of the controls menu
-	// This is saved and checked whenever the user switches to gamepad input. If a device with this
-	// name is connected, it will be prioritized
-	SQInput.targetGamepadName = null;
+	// Activation threshold for each analog input, from 0 to 1
+	SQInput.analogThresholds = {};
+	for (let index in SQInput.analogButtons) {
+		SQInput.analogThresholds[SQInput.analogButtons[index].name] = 0.5;
+	}
 
-	SQInput.initialize = function() {
-		// Save the default button values for SQ functions so they can be restored if needed
-		for (let i in this.inputs) {
-			this.inputs[i].defaultKeyboardButton = this.inputs[i].keyboardButton;
-			this.inputs[i].defaultGamepButton = this.inputs[i].gamepadButton;
-			this.inputs[i].id = i;
+	for (let t of (sqInputParams["analogThresholds"] ? JSON.parse(sqInputParams["analogThresholds"]) : [])) {
+		let threshold = JSON.parse(t);
+		if (threshold.input in SQInput.analogThresholds) {
+			SQInput.analogThresholds[threshold.input] = Number(threshold.threshold).clamp(0.01, 0.99);
 		}
+	}
 
-		Input._gamepadAxes = {};
+	SQInput.parseStickSettings = function(param) {
+		let settings = param ? JSON.parse(param) : {};
+		return {
+			deadzoneMode: settings.deadzoneMode || "radial",
+			innerDeadzone: Number(settings.innerDeadzone || 0).clamp(0, 0.9),
+			outerDeadzone: Number(settings.outerDeadzone || 1).clamp(0.1, 1),
+			responseCurve: settings.responseCurve || "linear",
+			curveExponent: Number(settings.curveExponent || 2)
+		};
+	}
 
-		// Add a new listener to detect when the keyboard is used and so any key pressed can be detected
-		// when remapping a key
-		document.addEventListener("keydown", this.nextKeyboardInputHandler.bind(SQInput));
-		document.addEventListener("gamepaddisconnected", this.updateActiveGamepad);
-		document.addEventListener("gamepadconnected", this.updateActiveGamepad);
+	// Deadzone and response curve settings for each stick
+	SQInput.stickSettings = {
+		left: SQInput.parseStickSettings(sqInputParams["leftStickSettings"]),
+		right: SQInput.parseStickSettings(sqInputParams["rightStickSettings"])
+	};
 
-		ImageManager.currentIconSet = "IconSet";
+	// Stick settings chosen by the player, which take priority over the plugin parameters
+	SQInput.stickOverrides = {left: {}, right: {}};
+
+	// Whether gamepads rumble, and how strongly, as chosen by the player
+	SQInput.rumbleEnabled = true;
+	SQInput.rumbleIntensity = 1;
+
+	// Rumble patterns from the plugin parameters, by name. Each one is a list of steps
+	SQInput.rumblePatterns = {};
+	for (let p of (sqInputParams["rumblePatterns"] ? JSON.parse(sqInputParams["rumblePatterns"]) : [])) {
+		let pattern = JSON.parse(p);
+		SQInput.rumblePatterns[pattern.name] = (pattern.steps ? JSON.parse(pattern.steps) : []).map(step => {
+			let rumbleStep = JSON.parse(step);
+			return {
+				strong: Number(rumbleStep.strong || 0),
+				weak: Number(rumbleStep.weak || 0),
+				duration: Number(rumbleStep.duration || 0),
+				pause: Number(rumbleStep.pause || 0)
+			};
+		});
+	}
+
+	// Timeouts for the pattern steps that haven't started yet
+	SQInput._rumbleTimeouts = [];
+
+	PluginManager.registerCommand("SQInput", "playRumblePattern", args => {
+		SQInput.playRumblePattern(args.name);
+	});
+
+	PluginManager.registerCommand("SQInput", "rumble", args => {
+		SQInput.rumble(Number(args.strong), Number(args.weak), Number(args.duration));
+	});
+
+	PluginManager.registerCommand("SQInput", "stopRumble", () => {
+		SQInput.stopRumble();
+	});
+
+	// Number of bindings each control can have per device. The first slot is the primary binding
+	SQInput.bindingSlots = Math.max(Number(sqInputParams["bindingSlots"] || 2), 1);
+
+	// Devices that controls can be bound to. Each control has a list of bindings for each of these
+	SQInput.bindingDevices = ["keyboard", "gamepad", "mouse"];
+
+	// What happens when a key is bound to a control while another control uses it: "swap", "reject", "allow"
+	// or "ask"
+	SQInput.conflictPolicy = sqInputParams["conflictPolicy"] || "swap";
+
+	// Controls in toggle mode that are currently on, and whether each one was held on the last update
+	SQInput._toggled = {};
+	SQInput._toggleHeld = {};
+
+	SQInput.clearTogglesOnSceneChange = sqInputParams["clearTogglesOnSceneChange"] !== "false";
+
+	// Frames left on each control's buffered press
+	SQInput._buffered = {};
+
+	// How many frames apart two presses can be to count as a double tap, when Input.isDoubleTapped isn't given one
+	SQInput.doubleTapFrames = 20;
+
+	// Whether each save can have its own controls
+	SQInput.perSaveControls = sqInputParams["perSaveControls"] === "true";
+
+	// Where player 1's controls come from: "global" for the config, or "save" for the save file being played
+	SQInput.controlScope = "global";
+
+	// The config's controls, kept aside while a save's own controls are in use
+	SQInput._globalControlLayout = null;
+
+	// Whether a game has been started or loaded, so there's a save for the controls to belong to
+	SQInput._gameInProgress = false;
+
+	// Renames and removals of controls, in order of version. See SQInput.addControlMigration
+	SQInput.controlMigrations = [];
+
+	// Built-in control layouts from the plugin parameters. The first one uses every control's defaults
+	SQInput.presets = [];
+
+	// Layouts made by the player, which are saved with the config
+	SQInput.profiles = [];
+
+	// The name of the preset or profile in use
+	SQInput.activeProfile = null;
+
+	// Separates the keys in a chord binding, e.g. "ShiftLeft+KeyZ" or "4+0" for LB+A
+	SQInput.chordSeparator = "+";
+
+	// Keys that can be held as part of a keyboard chord
+	SQInput.keyboardModifiers = ["ShiftLeft", "ShiftRight", "ControlLeft", "ControlRight", "AltLeft", "AltRight"];
+
+	// Chord bindings for each device. Rebuilt along with the key mappers
+	SQInput.chordMapper = {keyboard: [], gamepad: []};
+
+	// Identifies input recording files, and the version of the recording format they use
+	SQInput.recordingFormat = "SQInputRecording";
+	SQInput.recordingVersion = 1;
+
+	// Identifies exported control maps, and the version of the export format they use
+	SQInput.controlMapFormat = "SQInputControls";
+	SQInput.controlMapVersion = 1;
+
+	// The recording in progress, if any
+	SQInput._recording = null;
+
+	// The recording being played back, if any
+	SQInput._playback = null;
+
+	// Gamepads that don't come from navigator.getGamepads(), like on-screen touch controls. They're updated
+	// every frame through the same mapper as real gamepads, but are never chosen as the active gamepad
+	SQInput.virtualGamepads = [];
+
+	// Input names pressed by the mouse wheel, which are released after the next update
+	SQInput._wheelNames = [];
+
+	// The chord bindings that are currently held, for each device
+	SQInput._activeChords = {keyboard: [], gamepad: []};
+
+	// Local multiplayer players. Player 1 is always first and drives the regular Input
+	SQInput.players = [];
+
+	// Device and default keyboard bindings for each player after the first
+	SQInput.playerSlotSettings = sqInputParams["playerSlots"] ? JSON.parse(sqInputParams["playerSlots"]).map(p => JSON.parse(p)) : [];
+
+	// The player whose gamepad is used for the next input callbacks, e.g. when remapping their controls
+	SQInput.inputCapturePlayer = 1;
+
+	// Name of the gamepad selected by users in the gamepad selection window of the controls menu
+	// This is saved and checked whenever the user switches to gamepad input. If a device with this
+	// name is connected, it will be prioritized
+	SQInput.targetGamepadName = null;
+
+	SQInput.initialize = function() {
+		// Save the default button values for SQ functions so they can be restored if needed
+		for (let i in this.inputs) {
+			this.inputs[i].bindings = this.normalizeBindings(this.inputs[i].bindings);
+			this.inputs[i].defaultBindings = this.copyBindings(this.inputs[i].bindings);
+			this.inputs[i].id = i;
+		}
+
+		Input._gamepadAxes = {};
+
+		// Add a new listener to detect when the keyboard is used and so any key pressed can be detected
+		// when remapping a key
+		document.addEventListener("keydown", this.nextKeyboardInputHandler.bind(SQInput));
+		document.addEventListener("keyup", this.nextKeyboardInputHandler.bind(SQInput));
+		document.addEventListener("mousedown", this.onMouseButton.bind(SQInput));
+		document.addEventListener("mouseup", this.onMouseButton.bind(SQInput));
+		document.addEventListener("wheel", this.onMouseWheel.bind(SQInput));
+		window.addEventListener("gamepaddisconnected", this.updateActiveGamepad.bind(SQInput));
+		window.addEventListener("gamepadconnected", this.updateActiveGamepad.bind(SQInput));
+
+		ImageManager.currentIconSet = "IconSet";
 		ImageManager.loadSystem(SQInput.buttonIconSet);
 
 		SQInput.initCustomControls();
+		SQInput.initControlMigrations();
+		SQInput.initPresets();
+		SQInput.initPlayers();
+		SQInput.initControllerFamilies();
+		SQInput.initGamepadProfiles();
+	}
+
+
+	// Profiles from the plugin parameters are checked before the built-in ones. Buttons and axes are given as
+	// comma-separated raw indices, with blanks for missing inputs, and axis buttons as e.g. "12:1-, 13:1+"
+	SQInput.initGamepadProfiles = function() {
+		let parseIndices = (text) => String(text || "").split(",").map(i => i.trim() === "" ? null : Number(i));
+
+		for (let p of this.parseParamList(sqInputParams["gamepadProfiles"]).reverse()) {
+			let profile = JSON.parse(p);
+			let axisButtons = {};
+
+			for (let entry of String(profile.axisButtons || "").split(",")) {
+				let match = /^\s*(\d+)\s*:\s*(\d+)\s*([+-])\s*$/.exec(entry);
+				if (match) {
+					axisButtons[match[1]] = {axis: Number(match[2]), direction: match[3] === "-" ? -1 : 1};
+				}
+			}
+
+			this.addGamepadProfile({
+				name: profile.name,
+				ids: this.parseParamList(profile.ids),
+				keywords: this.parseParamList(profile.keywords),
+				buttons: profile.buttons ? parseIndices(profile.buttons) : undefined,
+				axes: profile.axes ? parseIndices(profile.axes) : undefined,
+				axisButtons: axisButtons,
+				hat: profile.hat !== "" && profile.hat !== undefined ? Number(profile.hat) : undefined
+			});
+		}
+	}
+
+
+	// Families from the plugin parameters are checked before the built-in ones, so they can also replace them
+	SQInput.initControllerFamilies = function() {
+		for (let f of this.parseParamList(sqInputParams["controllerFamilies"]).reverse()) {
+			let family = JSON.parse(f);
+			this.addControllerFamily({
+				name: family.name,
+				label: family.label,
+				buttonSet: family.buttonSet,
+				ids: this.parseParamList(family.ids),
+				keywords: this.parseParamList(family.keywords)
+			});
+		}
 	}
 
 	SQInput.initCustomControls = function() {
@@ -521,697 +1798,3712 @@ function SQInput() {
 				SQInput.inputs[control.name] = {};
 			}
 
+			let keyboardInputs = [control.keyboardInput].concat(SQInput.parseParamList(control.secondaryKeyboardInputs));
+			let gamepadInputs = [control.controllerInput].concat(SQInput.parseParamList(control.secondaryControllerInputs));
+
 			SQInput.inputs[control.name].name = control.name;
 			SQInput.inputs[control.name].fieldTitle = control.title;
-			SQInput.inputs[control.name].keyboardButton = control.keyboardInput;
-			SQInput.inputs[control.name].gamepadButton = control.controllerInput;
+			SQInput.inputs[control.name].bindings = SQInput.normalizeBindings({
+				keyboard: keyboardInputs,
+				gamepad: gamepadInputs,
+				mouse: [control.mouseInput]
+			});
+			SQInput.inputs[control.name].defaultBindings = SQInput.copyBindings(SQInput.inputs[control.name].bindings);
+			SQInput.inputs[control.name].contexts = SQInput.parseParamList(control.contexts);
+			SQInput.inputs[control.name].category = control.category || "";
+			SQInput.inputs[control.name].description = control.description || "";
+			SQInput.inputs[control.name].locked = control.locked === "true";
+			SQInput.inputs[control.name].hidden = control.hidden === "true";
+			// Overriding a default control keeps its toggle setting unless the parameter is there
+			if (control.toggleable) {
+				SQInput.inputs[control.name].toggleable = control.toggleable === "true";
+			}
+			SQInput.inputs[control.name].bufferFrames = Number(control.bufferFrames || 0);
 			SQInput.inputs[control.name].id = control.name;
 		}
 
 		this.rebuildButtonMapper();
 	}
 
-	SQInput.getInputByIndex = function(index) {
-		let keys = Object.keys(this.inputs);
-		return this.inputs[keys[index]];
+	SQInput.initControlMigrations = function() {
+		for (let m of this.parseParamList(sqInputParams["controlMigrations"])) {
+			let migration = JSON.parse(m);
+			let renames = {};
+			for (let r of this.parseParamList(migration.renames)) {
+				let rename = JSON.parse(r);
+				renames[rename.from] = rename.to;
+			}
+
+			this.addControlMigration({
+				version: Number(migration.version),
+				renames: renames,
+				removals: this.parseParamList(migration.removals)
+			});
+		}
 	}
 
+	// Presets with the same name as the default preset replace it
+	SQInput.initPresets = function() {
+		this.presets = [{name: sqInputParams["defaultPresetName"] || "Default", controlMap: {}}];
+
+		for (let p of this.parseParamList(sqInputParams["controlPresets"])) {
+			let preset = JSON.parse(p);
+			let controlMap = {};
+			for (let c of this.parseParamList(preset.controls)) {
+				let control = JSON.parse(c);
+				if (!(control.control in this.inputs)) {
+					continue;
+				}
 
-	// Restores the SQ default controls
-	SQInput.resetMap = function() {
-		for (let i in this.inputs) {
-			let input = this.inputs[i];
-			input.keyboardButton = input.defaultKeyboardButton;
-			input.gamepadButton = input.defaultGamepButton;
+				// Devices without any inputs listed keep their defaults
+				let bindings = this.copyBindings(this.inputs[control.control].defaultBindings);
+				let lists = {
+					keyboard: this.parseParamList(control.keyboardInputs),
+					gamepad: this.parseParamList(control.controllerInputs),
+					mouse: this.parseParamList(control.mouseInputs)
+				};
+				for (let device in lists) {
+					if (lists[device].length > 0) {
+						bindings[device] = lists[device];
+					}
+				}
+
+				controlMap[control.control] = bindings;
+			}
+
+			let index = this.presets.findIndex(existing => existing.name === preset.name);
+			if (index >= 0) {
+				this.presets[index] = {name: preset.name, controlMap: controlMap};
+			}
+			else {
+				this.presets.push({name: preset.name, controlMap: controlMap});
+			}
 		}
 
-		this.rebuildButtonMapper();
+		this.activeProfile = this.presets[0].name;
 	}
 
-
-	// Replaces Input.keyMapped and Input.gamepadMapper with a new object generated using the SQ control mapping
-	// This is the part that actually changes the controls.
-	SQInput.rebuildButtonMapper = function() {
-		let newKeyboardMap = {};
-		for (let i in this.inputs) {
-			let input = this.inputs[i];
-			newKeyboardMap[input.keyboardButton] = [i];
+	// Array plugin parameters are stored as JSON strings. Empty parameters are treated as empty lists.
+	SQInput.parseParamList = function(param) {
+		if (!param) {
+			return [];
 		}
 
-		// Always ensure the escape and shift keys are available for the last resort control remap reset
-		if (!newKeyboardMap["Tab"]) {
-			newKeyboardMap["Tab"] = ['static_tab'];
+		try {
+			return JSON.parse(param);
 		}
+		catch (e) {
+			return [];
+		}
+	}
 
-		if (!newKeyboardMap["Escape"]) {
-			newKeyboardMap["Escape"] = ['static_escape'];
+	// Pads or trims each device's binding list so that it has exactly one entry per binding slot.
+	// Empty slots are null. Gamepad buttons are stored as numbers, since plugin parameters give strings.
+	SQInput.normalizeBindings = function(bindings) {
+		let normalized = {};
+		for (let device of this.bindingDevices) {
+			let list = (bindings && bindings[device]) || [];
+			normalized[device] = [];
+
+			for (let slot = 0; slot < this.bindingSlots; slot++) {
+				let binding = slot < list.length ? list[slot] : null;
+				if (binding === undefined || binding === "") {
+					binding = null;
+				}
+
+				if (device === "gamepad" && binding !== null && !this.isChord(binding)) {
+					binding = Number(binding);
+				}
+
+				normalized[device].push(binding);
+			}
 		}
 
-		// Map some button names that RMMZ looks for so the existing input checks will still work
-		newKeyboardMap[this.inputs["cancel"].keyboardButton] = ["cancel"];
-		newKeyboardMap[this.inputs["confirm"].keyboardButton] = ["confirm"];
-		newKeyboardMap[this.inputs["confirm"].keyboardButton].push("ok");
-		newKeyboardMap[this.inputs["dash"].keyboardButton] = ["shift"];
-		newKeyboardMap[this.inputs["cycle_left"].keyboardButton] = ["pageup"];
-		newKeyboardMap[this.inputs["cycle_right"].keyboardButton] = ["pagedown"];
+		return normalized;
+	}
 
-		Input.keyMapper = newKeyboardMap;
+	SQInput.copyBindings = function(bindings) {
+		let copy = {};
+		for (let device in bindings) {
+			copy[device] = bindings[device].slice();
+		}
 
-		let newGamepadMap = [];
+		return copy;
+	}
 
-		for (let i in this.inputs) {
-			let input = this.inputs[i]
+	SQInput.getInputByIndex = function(index) {
+		let keys = Object.keys(this.inputs);
+		return this.inputs[keys[index]];
+	}
 
-			if (!(input.gamepadButton in newGamepadMap)) {
-				newGamepadMap[input.gamepadButton] = [];
-			}
 
-			newGamepadMap[input.gamepadButton].push(i);
+	// Returns the key or button bound to a control in the given slot. Slot 0 is the primary binding.
+	SQInput.getBinding = function(control, device, slot = 0) {
+		let input = this.inputs[control];
+		if (!input || !input.bindings[device]) {
+			return null;
 		}
 
-		// Merge the base custom gamepad mapper. This will encourage the engine to check for all of the controller buttons
-		// so that their states can be checked later
-		for (let button in this.gamepadMapper) {
-			if (!(button in newGamepadMap)) {
-				newGamepadMap[button] = [];
-			}
+		let binding = input.bindings[device][slot];
+		return binding === undefined ? null : binding;
+	}
+
+
+	// Returns all of the keys or buttons bound to a control, skipping empty slots
+	SQInput.getBindings = function(control, device) {
+		let input = this.inputs[control];
+		if (!input || !input.bindings[device]) {
+			return [];
 		}
 
-		newGamepadMap[this.inputs["cancel"].gamepadButton] = ["cancel"];
-		newGamepadMap[this.inputs["confirm"].gamepadButton] = ["confirm"];
-		newGamepadMap[this.inputs["confirm"].gamepadButton].push("ok");
-		newGamepadMap[this.inputs["dash"].gamepadButton] = ["shift"];
+		return input.bindings[device].filter(b => b !== null);
+	}
+
 
-		Input.gamepadMapper = newGamepadMap;
-		Input.clear();
+	// Locked controls can't be rebound, and always keep their default bindings
+	SQInput.isLocked = function(control) {
+		let input = this.inputs[control];
+		return !!(input && input.locked);
 	}
 
 
-	SQInput.getButtonSet = function() {
-		return this.activeButtonSet;
+	// Hidden controls aren't shown to the player, so their bindings are left to the game
+	SQInput.isHidden = function(control) {
+		let input = this.inputs[control];
+		return !!(input && input.hidden);
 	}
 
 
-	SQInput.nextButtonSet = function() {
-		this.changeButtonSet(this.getButtonSet() + 1);
+	// Whether a control's keys can be swapped onto another control. Hidden controls can't be seen on the control
+	// remapping scene, so a swap would move them onto a key the player can't see or undo
+	SQInput.canSwapBinding = function(control) {
+		return !this.isLocked(control) && !this.isHidden(control);
 	}
 
 
-	SQInput.changeButtonSet = function(setIndex) {
-		this.activeButtonSet = setIndex;
-		this.activeButtonSet %= this.numButtonSets;
+	// Whether the player can switch a control between hold and toggle modes
+	SQInput.isToggleable = function(control) {
+		let input = this.inputs[control];
+		return !!(input && input.toggleable);
 	}
 
 
-	SQInput.setTargetGamepadName = function(name) {
-		this.targetGamepadName = name;
+	// Returns "hold" or "toggle"
+	SQInput.getControlMode = function(control) {
+		let input = this.inputs[control];
+		return input && input.toggleable && input.mode === "toggle" ? "toggle" : "hold";
 	}
 
 
-	SQInput.setTargetGamepadIndex = function(gamepadIndex) {
-		let allGamepads = navigator.getGamepads();
+	// Returns false if the control can't be toggled
+	SQInput.setControlMode = function(control, mode) {
+		if (!this.isToggleable(control)) {
+			return false;
+		}
 
-		if (gamepadIndex in allGamepads && !!allGamepads[gamepadIndex]) {
-			this.setTargetGamepadName(allGamepads[gamepadIndex].id);
+		this.inputs[control].mode = mode === "toggle" ? "toggle" : "hold";
+		delete this._toggled[control];
+		return true;
+	}
+
+
+	// Used to save the modes in the config
+	SQInput.getControlModes = function() {
+		let modes = {};
+		for (let control in this.inputs) {
+			if (this.isToggleable(control)) {
+				modes[control] = this.getControlMode(control);
+			}
 		}
+
+		return modes;
 	}
 
 
-	SQInput.updateActiveGamepad = function() {
-		let allGamepads = navigator.getGamepads();
+	SQInput.setControlModes = function(modes) {
+		for (let control in (modes || {})) {
+			this.setControlMode(control, modes[control]);
+		}
+	}
 
-		if (this.targetGamepadName) {
-			for (let index = 0; index < allGamepads.length; index++) {
-				let gamepad = allGamepads[index];
-				if (!gamepad) continue;
-				if (gamepad.id === this.targetGamepadName) {
-					this.activeGamepadIndex = index;
-					break;
-				}
+
+	// Flips each toggle mode control when it's pressed. Input._currentState keeps the real state of the keys,
+	// and Input.isPressed reports the toggled state instead
+	SQInput.updateToggles = function() {
+		for (let control in this.inputs) {
+			if (this.getControlMode(control) !== "toggle") {
+				continue;
 			}
-		}
 
-		// No matching gamepad name was found. Default to the first one
-		if (!this.activeGamepadIndex) {
-			for (let index = 0; index < allGamepads.length; index++) {
-				let gamepad = allGamepads[index];
-				if (gamepad) {
-					this.activeGamepadIndex = index;
-					break;
-				}
+			let names = this.bindingDevices.flatMap(device => this.getMappedNames(control, device));
+			let held = names.some(name => Input._currentState[name]);
+			if (held && !this._toggleHeld[control]) {
+				this._toggled[control] = !this._toggled[control];
 			}
+			this._toggleHeld[control] = held;
 		}
 	}
 
 
-	// Run the given callback the next time a gamepad button is pressed. Only fires once per call.
-	SQInput.onNextGamepadInput = function(callback) {
-		SQInput.onNextGamepadPress(callback);
-	}
+	// Keeps a timer for each input name, so holding one button doesn't affect the timing of another. Each held name
+	// counts the frames it's been held for, starting at 1 on the frame it's pressed. A virtual button from a touch
+	// UI button is only triggered for the frame it's clicked. Names that were held through Input.clear need to be
+	// released before they count as pressed again, since a held gamepad button comes back on the next poll
+	SQInput.updateHoldTimes = function() {
+		Input._inputFrame++;
+		Input._releasedNames = [];
+		Input._virtualTriggered = Input._virtualButton;
+		for (const name in Input._currentState) {
+			if (!Input._currentState[name]) {
+				delete Input._heldThroughClear[name];
+			}
+			else if (Input._heldThroughClear[name]) {
+				continue;
+			}
 
-	SQInput.onNextGamepadRelease = function(callback) {
-		this._gamepadInputCallback = callback;
-		this._gamepadInputCallbackType = "release";
+			if (Input._currentState[name]) {
+				if (Input._holdTimes[name]) {
+					Input._holdTimes[name]++;
+				}
+				else {
+					Input._holdTimes[name] = 1;
+					Input._tapGaps[name] = name in Input._lastPressFrames ? Input._inputFrame - Input._lastPressFrames[name] : Infinity;
+					Input._lastPressFrames[name] = Input._inputFrame;
+				}
+			}
+			else if (Input._holdTimes[name]) {
+				delete Input._holdTimes[name];
+				Input._releasedNames.push(name);
+			}
+		}
 	}
 
-	SQInput.onNextGamepadPress = function(callback) {
-		this._gamepadInputCallback = callback;
-		this._gamepadInputCallbackType = "press";
+
+	SQInput.isToggled = function(control) {
+		return !!this._toggled[control];
 	}
 
 
-	SQInput.cancelOnNextGamepadInput = function() {
-		this._gamepadInputCallback = null;
-		this._gamepadInputCallbackType = null;
+	// Turns off every control in toggle mode
+	SQInput.clearToggles = function() {
+		this._toggled = {};
 	}
 
-	SQInput.nextGamepadInputHandler = function(buttonIndex, type) {
-		if (typeof this._gamepadInputCallback === "function" && this._gamepadInputCallbackType === type) {
-			let callback = this._gamepadInputCallback;
-			this._gamepadInputCallback = null;
-			this._gamepadInputCallbackType = null;
 
-			callback(buttonIndex, type);
+	// Sets how many frames a control's presses stay buffered. Returns false if there's no such control
+	SQInput.buffer = function(control, frames) {
+		if (!(control in this.inputs)) {
+			return false;
 		}
 
-		// Just switched to gamepad. Check connected controllers to see if any match the saved selected gamepad
-		// If there's a match, set activeGamepadIndex to its index. If there's no match or no saved gamepad
-		// just use the first device
-		if (this.lastInputDevice !== 'gamepad') {
-			this.updateActiveGamepad();
-			this.lastInputDevice = "gamepad";
+		this.inputs[control].bufferFrames = Math.max(Number(frames) || 0, 0);
+		if (!this.inputs[control].bufferFrames) {
+			delete this._buffered[control];
 		}
+		return true;
 	}
 
 
-	// Run the given callback the next time a keyboard button is pressed. Only fires once per call.
-	SQInput.onNextKeyboardInput = function(callback) {
-		this._keyboardInputCallback = callback;
-	}
-
+	// Buffers new presses of the controls that have a buffer length, and counts down the ones already buffered.
+	// A press stays buffered for bufferFrames frames, counting the frame it was made on
+	SQInput.updateBuffers = function() {
+		for (let control in this.inputs) {
+			if (!this.inputs[control].bufferFrames) {
+				continue;
+			}
 
-	SQInput.cancelOnNextKeyboardInput = function() {
-		this._keyboardInputCallback = null;
+			let names = this.bindingDevices.flatMap(device => this.getMappedNames(control, device));
+			if (names.some(name => Input.isTriggered(name))) {
+				this._buffered[control] = this.inputs[control].bufferFrames;
+			}
+			else if (this._buffered[control] > 1) {
+				this._buffered[control]--;
+			}
+			else {
+				delete this._buffered[control];
+			}
+		}
 	}
 
 
-	SQInput.nextKeyboardInputHandler = function(event) {
-		if (this._keyboardInputCallback && typeof this._keyboardInputCallback === "function") {
-			this._keyboardInputCallback(event);
-			this._keyboardInputCallback = null;
+	// Returns true if the control has a buffered press, and uses it up
+	SQInput.consumeBuffered = function(control) {
+		if (!this._buffered[control]) {
+			return false;
 		}
 
-		this.lastInputDevice = "keyboard";
+		delete this._buffered[control];
+		return true;
 	}
 
 
-	// Returns an array of the keyboard and gamepad buttons for each SQ function
-	// Used to save config data
-	SQInput.getControlMap = function() {
-		let controlMap = {};
-		for (let func in this.inputs) {
-			let funcData = this.inputs[func];
-
-			controlMap[func] = {
-				keyboardButton: funcData.keyboardButton,
-				gamepadButton: funcData.gamepadButton
-			};
-		}
-
-		return controlMap;
+	SQInput.clearBuffers = function() {
+		this._buffered = {};
 	}
 
 
-	// Sets the keyboard and gamepad button for each custom function
-	// Used when loading config values
-	SQInput.setControlMap = function(map) {
-		if (map) {
-			for (let key in map) {
-				let buttons = map[key];
-				let func = this.inputs[key];
+	// Returns the toggle mode control that a name refers to, either by its own name or by an RMMZ alias like
+	// "shift", or null if it isn't one
+	SQInput.getToggleControl = function(keyName) {
+		if (this.getControlMode(keyName) === "toggle") {
+			return keyName;
+		}
 
-				if (func) {
-					func.gamepadButton = buttons.gamepadButton;
-					func.keyboardButton = buttons.keyboardButton;
+		for (let device in this.RMMZAliases) {
+			for (let control in this.RMMZAliases[device]) {
+				if (this.RMMZAliases[device][control].includes(keyName) && this.getControlMode(control) === "toggle") {
+					return control;
 				}
 			}
-
-			SQInput.rebuildButtonMapper();
 		}
+
+		return null;
 	}
 
-	// Changes the input for a particular control
-	SQInput.setControlButton = function(control, keyCode, type) {
-		if (!this.inputs[control]) {
-			return;
-		}
 
-		// Check whether this keycode is being used anywhere else
-		let duplicateFunction = null;
+	// Restores the SQ default controls. Hidden controls are skipped
+	SQInput.resetMap = function() {
 		for (let i in this.inputs) {
-			let input = this.inputs[i];
-			if (input && input[type] === keyCode && i !== control) {
-				duplicateFunction = i;
-				break;
+			if (this.isHidden(i)) {
+				continue;
 			}
-		}
 
-		// swap the keys if a duplicate was found
-		if (duplicateFunction) {
-			let currentControlKey = this.inputs[control][type];
-			this.inputs[duplicateFunction][type] = currentControlKey;
+			let input = this.inputs[i];
+			input.bindings = this.copyBindings(input.defaultBindings);
 		}
 
-		this.inputs[control][type] = keyCode;
 		this.rebuildButtonMapper();
 	}
 
 
-	SQInput.setGamepadButton = function(control, buttonIndex) {
-		this.setControlButton(control, buttonIndex, "gamepadButton");
+	// Replaces Input.keyMapped and Input.gamepadMapper with a new object generated using the SQ control mapping
+	// This is the part that actually changes the controls.
+	SQInput.rebuildButtonMapper = function() {
+		this.buildMappers();
+		Input.clear();
 	}
 
 
-	SQInput.setKeyboardButton = function(control, keyCode) {
-		this.setControlButton(control, keyCode, "keyboardButton");
-	}
+	// Builds the mappers for the current context. Only controls that are active in the context are included.
+	SQInput.buildMappers = function() {
+		this._currentContext = this.getContext();
 
+		let mappers = this.makeMappers(this.getBindings.bind(this), this._currentContext);
 
-	// Draw a keyboard icon based on the name of a SQ function
-	SQInput.getKeyboardControlIconIndex = function(param) {
-		let keyboardButton = this.inputs[param].keyboardButton;
-		let iconIndex = SQInput.baseKeyboardIconIndex + SQInput.codeToIconIndex[keyboardButton];
+		// Always ensure the escape and shift keys are available for the last resort control remap reset
+		if (!mappers.keyboard["Tab"]) {
+			mappers.keyboard["Tab"] = ['static_tab'];
+		}
 
-		// Use the gamepad icons for keyboard
-		if (keyboardButton.startsWith("Arrow")) {
-			iconIndex -= 64;
+		if (!mappers.keyboard["Escape"]) {
+			mappers.keyboard["Escape"] = ['static_escape'];
 		}
 
-		return iconIndex;
-	}
+		Input.keyMapper = mappers.keyboard;
 
+		// Merge the base custom gamepad mapper. This will encourage the engine to check for all of the controller buttons
+		// so that their states can be checked later
+		for (let button in this.gamepadMapper) {
+			if (!(button in mappers.gamepad)) {
+				mappers.gamepad[button] = [];
+			}
+		}
 
-	// Draw a gamepad icon based on the name of a SQ function
-	SQInput.getGamepadControlIconIndex = function(param) {
-		let buttonIndex = this.gamepadIndexToIconIndex[this.inputs[param].gamepadButton];
-		return this.baseControlIconIndex + (this.buttonSetSize * this.activeButtonSet) + buttonIndex
+		Input.gamepadMapper = mappers.gamepad;
+		Input.mouseMapper = mappers.mouse;
+		this.chordMapper = mappers.chords;
 	}
 
 
-	// Checks for a 5-second long press. Used for the failsafe control remap reset
-	SQInput.isVeryLongPressed = function(keyName) {
-		return (
-			Input.isPressed(keyName) &&
-			Input._pressedTime >= 300
-		);
-	};
-
+	// Builds a keyboard, gamepad and mouse mapper and the chords from a function returning a control's bindings
+	// on a device. When several controls share a key, the key sets all of their names.
+	SQInput.makeMappers = function(getBindings, context) {
+		let activeControls = Object.keys(this.inputs).filter(i => this.isControlActive(i, context));
+		let addNames = function(map, key, names) {
+			if (!(key in map)) {
+				map[key] = [];
+			}
 
-	// Escape params normally only support integer parameters. To support using names of inputs,
-	// the regex is adjusted to also look for letters and underscores. The parseInt call is also
-	// replaced by removing the trailing ]. It doesn't seem like the return value must be an integer
-	// and that the parse was just a janky way of trimming the string?
-	// defaultObtainEscapeParam = Window_Base.prototype.obtainEscapeParam;
-	SQInput.obtainEscapeParam = function(textState) {
-		const regExp = /^\[[\da-zA-Z_]+\]/;
-		const arr = regExp.exec(textState.text.slice(textState.index));
-		if (arr) {
-			textState.index += arr[0].length;
-			return arr[0].slice(1, arr[0].length - 1);
-		} else {
-			return "";
+			for (let name of names) {
+				if (!map[key].includes(name)) {
+					map[key].push(name);
+				}
+			}
+		};
+
+		let mappers = {keyboard: {}, gamepad: [], mouse: {}, chords: {keyboard: [], gamepad: []}};
+
+		for (let device of this.bindingDevices) {
+			for (let i of activeControls) {
+				for (let binding of getBindings(i, device)) {
+					// Chords are kept separately, since they're only active while all of their modifiers are held
+					if (this.isChord(binding)) {
+						let keys = this.parseBinding(binding, device);
+						mappers.chords[device].push({
+							key: keys.pop(),
+							modifiers: keys,
+							names: this.getMappedNames(i, device)
+						});
+					}
+					else {
+						addNames(mappers[device], binding, this.getMappedNames(i, device));
+					}
+				}
+			}
 		}
-	};
 
-	Input.getLeftJoystick = function() {
-		if (SQInput.activeGamepadIndex >= 0 && SQInput.activeGamepadIndex in this._gamepadAxes) {
-			return this._gamepadAxes[SQInput.activeGamepadIndex].left;
-		}
+		return mappers;
 	}
 
-	Input.getRightJoystick = function() {
-		if (SQInput.activeGamepadIndex >= 0 && SQInput.activeGamepadIndex in this._gamepadAxes) {
-			return this._gamepadAxes[SQInput.activeGamepadIndex].right;
+
+	// Returns the context that controls are currently mapped for. Contexts pushed by plugins take priority over
+	// the one chosen automatically from the scene
+	SQInput.getContext = function() {
+		if (this._contextStack.length) {
+			return this._contextStack[this._contextStack.length - 1];
 		}
+
+		return this.detectContext();
 	}
 
 
-	Window_Base.prototype.obtainEscapeCodeIconIndex = function(code, param) {
-		let iconIndex = -1;
+	// Picks a context based on the active scene. Messages take priority over the scene they're shown in
+	SQInput.detectContext = function() {
+		let scene = SceneManager._scene;
+		if (!scene) {
+			return "menu";
+		}
 
-		ImageManager.setIconImage(SQInput.buttonIconSet)
+		if (scene instanceof Scene_Message && $gameMessage && $gameMessage.isBusy()) {
+			return "message";
+		}
 
-		if (code === "KBCTRL" && param in SQInput.inputs) {
-			iconIndex = SQInput.getKeyboardControlIconIndex(param);
+		// Check the scene's class and each class it inherits from, so custom scenes based on the map or battle
+		// scenes use the same context
+		for (let proto = Object.getPrototypeOf(scene); proto; proto = Object.getPrototypeOf(proto)) {
+			let sceneName = proto.constructor && proto.constructor.name;
+			if (sceneName in this.sceneContexts) {
+				return this.sceneContexts[sceneName];
+			}
 		}
-		else if (code === "JPCTRL" && param in SQInput.inputs) {
-			iconIndex = SQInput.getGamepadControlIconIndex(param);
+
+		return "menu";
+	}
+
+
+	// Makes the given context active until it's popped, regardless of the scene
+	SQInput.pushContext = function(context) {
+		this._contextStack.push(context);
+		this.updateContext();
+	}
+
+
+	// Removes the most recently pushed context and returns it
+	SQInput.popContext = function() {
+		let context = this._contextStack.pop();
+		this.updateContext();
+		return context;
+	}
+
+
+	// Rebuilds the mappers if the context changed since the last check. Input isn't cleared, since buttons held
+	// through the change would be seen as pressed again
+	SQInput.updateContext = function() {
+		if (this.getContext() !== this._currentContext) {
+			this.buildMappers();
+			this.releaseInactiveControls(Input._currentState, this._currentContext);
 		}
-		else if (code === "CTRL" && param in SQInput.inputs) {
-			iconIndex = 0;
-			if (SQInput.lastInputDevice === "keyboard") {
-				iconIndex = SQInput.getKeyboardControlIconIndex(param);
+	}
+
+
+	// Releases the controls that aren't active in the context. Their keys map to other names now, so releasing a
+	// key that was held through the context change wouldn't release them
+	SQInput.releaseInactiveControls = function(state, context) {
+		for (let control in this.inputs) {
+			if (this.isControlActive(control, context)) {
+				continue;
 			}
-			else {
-				iconIndex = SQInput.getGamepadControlIconIndex(param);
+
+			for (let device of this.bindingDevices) {
+				for (let name of this.getMappedNames(control, device)) {
+					state[name] = false;
+				}
 			}
 		}
-		else if (code === "KB") {
-			iconIndex = SQInput.defaultButtonIcon;
+	}
 
-			const arrowCodes = ["ArrowLeft", "ArrowUp", "ArrowRight", "ArrowDown"];
 
-			// A very ugly hack because the keyboard icon set doesn't have its own set of arrows
-			// All of the controller button sets have copies of the arrows, so use the first one of those
-			if (arrowCodes.includes(param)) {
-				iconIndex = SQInput.baseControlIconIndex + arrowCodes.indexOf(param);
-			}
-			else if (param in SQInput.codeToIconIndex) {
-				iconIndex = SQInput.baseKeyboardIconIndex + SQInput.codeToIconIndex[param];
-			}
+	// Controls with no contexts listed are active everywhere
+	SQInput.isControlActive = function(control, context = this.getContext()) {
+		let contexts = this.inputs[control].contexts || [];
+		return !contexts.length || contexts.includes(context);
+	}
+
+
+	// Returns true if there's a context where both controls are active, meaning they can't share a key
+	SQInput.sharesContext = function(control1, control2) {
+		let contexts1 = this.inputs[control1].contexts || [];
+		let contexts2 = this.inputs[control2].contexts || [];
+
+		if (!contexts1.length || !contexts2.length) {
+			return true;
 		}
-		// JP = Joypad. This was originally GP for Gamepad, but the control character interacts strangely with the "G"
-		else if (code === "JP") {
-			let iconSet = SQInput.activeButtonSet;
-			let iconOffset = SQInput.gamepadIndexToIconIndex[param];
 
-			// Map all arrow icons to the first set of arrows
-			if (iconOffset >= 0 && iconOffset <= 3) {
-				iconSet = 0;
-			}
+		return contexts1.some(c => contexts2.includes(c));
+	}
+
+
+	// The input names that a control sets when one of its bindings on the given device is pressed
+	SQInput.getMappedNames = function(control, device) {
+		let aliases = this.RMMZAliases[device] || {};
+		return (aliases[control] || [control]).slice();
+	}
+
+
+	SQInput.isChord = function(binding) {
+		return typeof binding === "string" && binding.includes(this.chordSeparator);
+	}
 
-			iconIndex = SQInput.baseControlIconIndex + (SQInput.buttonSetSize * iconSet) + iconOffset;
+
+	// Splits a binding into the keys or buttons that need to be held for it. For chords, the last entry is the
+	// main key and the rest are modifiers
+	SQInput.parseBinding = function(binding, device) {
+		if (binding === null) {
+			return [];
 		}
-		else {
-			ImageManager.resetIconImage();
+
+		let keys = String(binding).split(this.chordSeparator);
+		if (device === "gamepad") {
+			keys = keys.map(Number);
 		}
 
-		return iconIndex
+		return keys;
 	}
 
-	// Override escape character processing to handle custom icon drawing
-	// This makes drawing icons based on their function and button set possible
-	SQInput.defaultProcessEscapeCharacter = Window_Base.prototype.processEscapeCharacter;
-	Window_Base.prototype.processEscapeCharacter = function(code, textState, param = null) {
-		let originalState = Object.assign({}, textState);
-		let sqParam = param || SQInput.obtainEscapeParam(textState);
 
-		let iconIndex = this.obtainEscapeCodeIconIndex(code, sqParam);
+	// Builds a chord binding from a list of modifiers and the main key. Modifiers are sorted so the same
+	// combination is always stored the same way, no matter which order they were pressed in
+	SQInput.makeChord = function(modifiers, key) {
+		if (!modifiers.length) {
+			return key;
+		}
 
-		if (code.startsWith("DBL")) {
-			let regex = /\|(\w+)\|(\w+)\[(\w+)\|(\w+)\]/i;
-			let matches = textState.text.substring(textState.index).match(regex);
+		let sortedModifiers = modifiers.slice().sort((a, b) => String(a).localeCompare(String(b)));
+		return sortedModifiers.concat([key]).join(this.chordSeparator);
+	}
 
-			if (matches.length === 5) {
-				let iconIndex1 = this.obtainEscapeCodeIconIndex(matches[1], matches[3]);
-				let iconIndex2 = this.obtainEscapeCodeIconIndex(matches[2], matches[4]);
 
-				ImageManager.setIconImage(SQInput.buttonIconSet)
-				this.processDrawDoubleIcon(iconIndex1, iconIndex2, textState);
-				ImageManager.resetIconImage();
+	SQInput.isModifierKey = function(code) {
+		return this.keyboardModifiers.includes(code);
+	}
 
-				textState.index += matches[0].length;
+
+	// Finds the chord with the given main key whose modifiers are all held. If several chords match,
+	// the one with the most modifiers wins, so Ctrl+Shift+Z takes priority over Shift+Z. Other players
+	// pass their own chord mapper
+	SQInput.findChord = function(device, key, isHeld, chordMapper = this.chordMapper) {
+		let match = null;
+		for (let chord of chordMapper[device]) {
+			if (chord.key !== key || !chord.modifiers.every(isHeld)) {
+				continue;
 			}
 
+			if (!match || chord.modifiers.length > match.modifiers.length) {
+				match = chord;
+			}
 		}
-		else if (iconIndex >= 0) {
-			this.processDrawIcon(iconIndex, textState);
-			ImageManager.resetIconImage();
+
+		return match;
+	}
+
+
+	// Presses a chord's inputs. While it's active, its main key won't trigger its own control
+	SQInput.activateChord = function(device, chord) {
+		if (!this._activeChords[device].includes(chord)) {
+			this._activeChords[device].push(chord);
 		}
-		else {
-			Object.assign(textState, originalState);
-			SQInput.defaultProcessEscapeCharacter.call(this, code, textState, param);
+
+		for (let name of chord.names) {
+			Input._currentState[name] = true;
 		}
 	}
 
 
-	Window_Base.prototype.processDrawDoubleIcon = function(iconIndex1, iconIndex2, textState) {
-		if (textState.drawing) {
-			this.drawDoubleIcon(iconIndex1, iconIndex2, textState.x + 2, textState.y + 2);
+	// Releases any active chords that use the given key, either as the main key or as a modifier
+	SQInput.releaseChords = function(device, key) {
+		let activeChords = this._activeChords[device];
+		for (let i = activeChords.length - 1; i >= 0; i--) {
+			let chord = activeChords[i];
+			if (chord.key === key || chord.modifiers.includes(key)) {
+				for (let name of chord.names) {
+					Input._currentState[name] = false;
+				}
+				activeChords.splice(i, 1);
+			}
 		}
-		textState.x += ImageManager.iconWidth + 4;
 	}
 
-	Window_Base.prototype.drawDoubleIcon = function(iconIndex1, iconIndex2, x, y, scaleX = 0.7, scaleY = 0.7) {
-		const bitmap = ImageManager.loadSystem(ImageManager.currentIconSet);
-		const pw = ImageManager.iconWidth;
-		const ph = ImageManager.iconHeight;
-		let sx = (iconIndex1 % 16) * pw;
-		let sy = Math.floor(iconIndex1 / 16) * ph;
-		this.contents.blt(bitmap, sx, sy, pw, ph, x, y, ImageManager.iconWidth * scaleX, ImageManager.iconHeight * scaleY);
 
-		sx = (iconIndex2 % 16) * pw;
-		sy = Math.floor(iconIndex2 / 16) * ph;
-		this.contents.blt(bitmap, sx, sy, pw, ph, x + (pw / 2), y + (ph / 2), ImageManager.iconWidth * scaleX, ImageManager.iconHeight * scaleY);
+	// Returns true if the key is the main key of an active chord
+	SQInput.isChordKeyActive = function(device, key) {
+		return this._activeChords[device].some(chord => chord.key === key);
 	}
 
-	// Switch the active icon image. Used to render button icons in the control remapper scene
-	ImageManager.setIconImage = function(imageName) {
-		ImageManager.currentIconSet = imageName;
+
+	SQInput.getButtonSet = function() {
+		return this.activeButtonSet;
 	}
 
-	ImageManager.resetIconImage = function() {
-		ImageManager.currentIconSet = "IconSet";
+
+	// Picking a button set by hand stops it from following the detected controller family
+	SQInput.nextButtonSet = function() {
+		this.changeButtonSet(this.getButtonSet() + 1);
+		this.buttonSetOverridden = true;
 	}
 
-	Window_Base.prototype.drawIcon = function(iconIndex, x, y) {
-		const bitmap = ImageManager.loadSystem(ImageManager.currentIconSet);
-		const pw = ImageManager.iconWidth;
-		const ph = ImageManager.iconHeight;
-		const sx = (iconIndex % 16) * pw;
-		const sy = Math.floor(iconIndex / 16) * ph;
-		this.contents.blt(bitmap, sx, sy, pw, ph, x, y);
-	};
 
-	// This is a copy/paste from the base RMMZ Input._updateGamepadState
-	// VisuMZ overwrites this and does something that crashes if the full
-	// gamepad object isn't given to it. Whatever VisuMZ is doing hopefully
-	// isn't too important.
-	SQInput.originalUpdateGamepadState = function(gamepad) {
-		const lastState = this._gamepadStates[gamepad.index] || [];
-		const newState = [];
-		const buttons = gamepad.buttons;
-		const axes = gamepad.axes;
-		const threshold = 0.5;
-		newState[12] = false;
-		newState[13] = false;
-		newState[14] = false;
-		newState[15] = false;
-		for (let i = 0; i < buttons.length; i++) {
-			newState[i] = buttons[i].pressed;
+	// Goes back to choosing the button set from the active gamepad's controller family
+	SQInput.clearButtonSetOverride = function() {
+		this.buttonSetOverridden = false;
+		this.updateControllerFamily();
+	}
+
+
+	SQInput.isButtonSetOverridden = function() {
+		return this.buttonSetOverridden;
+	}
+
+
+	// Returns the first family whose IDs or keywords match a gamepad's id, or the generic family if none do.
+	// Chrome reports IDs as "Name (Vendor: 054c Product: 09cc)" and Firefox as "054c-09cc-Name"
+	SQInput.detectControllerFamily = function(gamepadId) {
+		return this.controllerFamilies.find(f => this.matchesGamepadId(gamepadId, f.ids, f.keywords)) || this.genericControllerFamily;
+	}
+
+
+	// Checks a gamepad's id against USB IDs, given as "vendor" or "vendor:product" in hex, and keywords.
+	// Chrome reports IDs as "Name (Vendor: 054c Product: 09cc)" and Firefox as "054c-09cc-Name"
+	SQInput.matchesGamepadId = function(gamepadId, ids, keywords) {
+		let id = String(gamepadId || "").toLowerCase();
+		let match = /vendor: ?([0-9a-f]{1,4}) product: ?([0-9a-f]{1,4})/.exec(id) || /^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/.exec(id);
+		let vendor = match ? match[1].padStart(4, "0") : null;
+		let product = match ? match[2].padStart(4, "0") : null;
+
+		let idMatches = ids.some(usbId => {
+			let [usbVendor, usbProduct] = usbId.toLowerCase().split(":");
+			return usbVendor === vendor && (!usbProduct || usbProduct === product);
+		});
+
+		return idMatches || keywords.some(keyword => id.includes(keyword.toLowerCase()));
+	}
+
+
+	// Detects the active gamepad's family and switches to its button set, unless the player picked one
+	SQInput.updateControllerFamily = function() {
+		let gamepad = this.getGamepads()[this.activeGamepadIndex];
+		if (!gamepad) {
+			return;
 		}
-		if (axes[1] < -threshold) {
-			newState[12] = true; // up
-		} else if (axes[1] > threshold) {
-			newState[13] = true; // down
+
+		this.controllerFamily = this.detectControllerFamily(gamepad.id);
+
+		if (!this.buttonSetOverridden) {
+			let buttonSet = this.controllerFamily.buttonSet;
+			this.changeButtonSet(buttonSet < this.numButtonSets ? buttonSet : 0);
 		}
-		if (axes[0] < -threshold) {
-			newState[14] = true; // left
-		} else if (axes[0] > threshold) {
-			newState[15] = true; // right
+	}
+
+
+	// Adds a controller family, which is checked before the ones already known. A family with the same name
+	// is replaced
+	SQInput.addControllerFamily = function(family) {
+		this.controllerFamilies = this.controllerFamilies.filter(f => f.name !== family.name);
+		this.controllerFamilies.unshift({
+			name: family.name,
+			label: family.label || family.name,
+			buttonSet: Number(family.buttonSet || 0),
+			ids: family.ids || [],
+			keywords: family.keywords || []
+		});
+	}
+
+
+	SQInput.changeButtonSet = function(setIndex) {
+		this.activeButtonSet = setIndex;
+		this.activeButtonSet %= this.numButtonSets;
+	}
+
+
+	SQInput.setTargetGamepadName = function(name) {
+		this.targetGamepadName = name;
+	}
+
+
+	// Returns the connected gamepads, from the simulated gamepad provider if one is set. Gamepads without the
+	// standard mapping are normalized with their profile, if there is one
+	SQInput.getGamepads = function() {
+		let gamepads = [];
+		if (typeof this._gamepadProvider === "function") {
+			gamepads = this._gamepadProvider() || [];
 		}
-		for (let j = 0; j < newState.length; j++) {
-			if (newState[j] !== lastState[j]) {
-				const buttonNames = this.gamepadMapper[j];
-				if (buttonNames) {
-					for (let b of buttonNames) {
-						this._currentState[b] = newState[j];
-					}
+		else if (navigator.getGamepads) {
+			gamepads = navigator.getGamepads() || [];
+		}
+
+		return Array.from(gamepads, gamepad => gamepad ? this.normalizeGamepad(gamepad) : gamepad);
+	}
+
+
+	SQInput.findGamepadProfile = function(gamepad) {
+		return this.gamepadProfiles.find(p => this.matchesGamepadId(gamepad.id, p.ids, p.keywords)) || null;
+	}
+
+
+	// Adds a profile for a gamepad that doesn't report the standard mapping. It's checked before the ones
+	// already known, and replaces any profile with the same name. Profiles have:
+	// - name: identifies the profile
+	// - ids, keywords: matched against the gamepad's id, like controller families
+	// - buttons: the raw button index for each standard button, in standard order. null if there isn't one
+	// - axes: the raw axis index for each standard axis (left x, left y, right x, right y)
+	// - axisButtons: standard buttons driven by a raw axis, e.g. {12: {axis: 1, direction: -1}} for D-pad up
+	// - hat: the raw axis of a hat switch that drives the D-pad, if the gamepad has one
+	SQInput.addGamepadProfile = function(profile) {
+		this.gamepadProfiles = this.gamepadProfiles.filter(p => p.name !== profile.name);
+		this.gamepadProfiles.unshift(Object.assign({ids: [], keywords: [], axisButtons: {}}, profile));
+	}
+
+
+	// Returns a gamepad-like object with the buttons and axes moved to their standard indices. Gamepads that
+	// already use the standard mapping, or have no profile, are returned as they are
+	SQInput.normalizeGamepad = function(gamepad) {
+		let profile = gamepad.mapping === "standard" ? null : this.findGamepadProfile(gamepad);
+		if (!profile) {
+			return gamepad;
+		}
+
+		let buttons = [];
+		for (let i = 0; i < this.gamepadButtonCount; i++) {
+			let raw = profile.buttons ? profile.buttons[i] : i;
+			let button = (raw !== null && raw !== undefined) ? gamepad.buttons[raw] : null;
+			buttons.push({
+				pressed: !!button && button.pressed,
+				touched: !!button && !!button.touched,
+				value: button ? button.value : 0
+			});
+		}
+
+		for (let index in profile.axisButtons) {
+			let axisButton = profile.axisButtons[index];
+			let value = Math.max((gamepad.axes[axisButton.axis] || 0) * axisButton.direction, 0);
+			buttons[index] = {pressed: value >= 0.5, touched: value >= 0.5, value: value};
+		}
+
+		if (profile.hat !== undefined && profile.hat !== null) {
+			let directions = this.readHatSwitch(gamepad.axes[profile.hat]);
+			for (let index of directions) {
+				buttons[index] = {pressed: true, touched: true, value: 1};
+			}
+		}
+
+		let axes = [];
+		for (let i = 0; i < 4; i++) {
+			let raw = profile.axes ? profile.axes[i] : i;
+			axes.push((raw !== null && raw !== undefined) ? gamepad.axes[raw] || 0 : 0);
+		}
+
+		return {
+			id: gamepad.id,
+			index: gamepad.index,
+			connected: gamepad.connected,
+			timestamp: gamepad.timestamp,
+			mapping: "standard",
+			buttons: buttons,
+			axes: axes,
+			vibrationActuator: gamepad.vibrationActuator,
+			profile: profile.name,
+			raw: gamepad
+		};
+	}
+
+
+	// Hat switches report their 8 directions as steps from -1 (up) clockwise to 1 (up-left), and something
+	// outside that range when centered. Returns the D-pad buttons for the direction
+	SQInput.readHatSwitch = function(value) {
+		if (value === undefined || Math.abs(value) > 1.1) {
+			return [];
+		}
+
+		let direction = Math.round((value + 1) * 7 / 2) % 8;
+		let dpad = [];
+		if ([7, 0, 1].includes(direction)) dpad.push(12); // up
+		if ([3, 4, 5].includes(direction)) dpad.push(13); // down
+		if ([5, 6, 7].includes(direction)) dpad.push(14); // left
+		if ([1, 2, 3].includes(direction)) dpad.push(15); // right
+
+		return dpad;
+	}
+
+
+	// Replaces navigator.getGamepads() with a function returning gamepad-like objects. Pass null to go back
+	// to the real gamepads
+	SQInput.setGamepadProvider = function(provider) {
+		this._gamepadProvider = provider;
+		this.activeGamepadIndex = null;
+		Input._gamepadStates = [];
+		Input._gamepadAxes = [];
+	}
+
+
+	SQInput.setTargetGamepadIndex = function(gamepadIndex) {
+		let allGamepads = this.getGamepads();
+
+		if (gamepadIndex in allGamepads && !!allGamepads[gamepadIndex]) {
+			this.setTargetGamepadName(allGamepads[gamepadIndex].id);
+		}
+	}
+
+
+	SQInput.updateActiveGamepad = function() {
+		let allGamepads = SQInput.getGamepads();
+
+		if (this.targetGamepadName) {
+			for (let index = 0; index < allGamepads.length; index++) {
+				let gamepad = allGamepads[index];
+				if (!gamepad) continue;
+				if (gamepad.id === this.targetGamepadName) {
+					this.activeGamepadIndex = index;
+					break;
 				}
 			}
 		}
-		this._gamepadStates[gamepad.index] = newState;
-		this._gamepadAxes[gamepad.index] = {
-			left:  {x: gamepad.axes[0], y: gamepad.axes[1]},
-			right: {x: gamepad.axes[2], y: gamepad.axes[3]}
+
+		// No matching gamepad name was found. Default to the first one that another player hasn't saved as theirs
+		if (!this.activeGamepadIndex) {
+			let reservedNames = this.players.slice(1)
+				.filter(player => player.device === "gamepad" && player.gamepadName !== this.targetGamepadName)
+				.map(player => player.gamepadName);
+
+			for (let index = 0; index < allGamepads.length; index++) {
+				let gamepad = allGamepads[index];
+				if (gamepad && !reservedNames.includes(gamepad.id)) {
+					this.activeGamepadIndex = index;
+					break;
+				}
+			}
+		}
+
+		this.updateControllerFamily();
+	}
+
+
+	// Run the given callback the next time a gamepad button is pressed. Only fires once per call.
+	SQInput.onNextGamepadInput = function(callback) {
+		SQInput.onNextGamepadPress(callback);
+	}
+
+	SQInput.onNextGamepadRelease = function(callback) {
+		this._gamepadInputCallback = callback;
+		this._gamepadInputCallbackType = "release";
+	}
+
+	SQInput.onNextGamepadPress = function(callback) {
+		this._gamepadInputCallback = callback;
+		this._gamepadInputCallbackType = "press";
+	}
+
+
+	SQInput.cancelOnNextGamepadInput = function() {
+		this._gamepadInputCallback = null;
+		this._gamepadInputCallbackType = null;
+	}
+
+	SQInput.nextGamepadInputHandler = function(buttonIndex, type) {
+		if (type === "press") {
+			this.onRealInput();
+		}
+
+		if (this.inputCapturePlayer === 1) {
+			this.runGamepadInputCallback(buttonIndex, type);
+		}
+
+		// Just switched to gamepad. Check connected controllers to see if any match the saved selected gamepad
+		// If there's a match, set activeGamepadIndex to its index. If there's no match or no saved gamepad
+		// just use the first device
+		if (this.lastInputDevice !== 'gamepad') {
+			this.updateActiveGamepad();
+			this.lastInputDevice = "gamepad";
+		}
+	}
+
+
+	SQInput.runGamepadInputCallback = function(buttonIndex, type) {
+		if (typeof this._gamepadInputCallback === "function" && this._gamepadInputCallbackType === type) {
+			let callback = this._gamepadInputCallback;
+			this._gamepadInputCallback = null;
+			this._gamepadInputCallbackType = null;
+
+			callback(buttonIndex, type);
+		}
+	}
+
+
+	// Run the given callback the next time a keyboard button is pressed. Only fires once per call.
+	SQInput.onNextKeyboardInput = function(callback) {
+		SQInput.onNextKeyboardPress(callback);
+	}
+
+	SQInput.onNextKeyboardRelease = function(callback) {
+		this._keyboardInputCallback = callback;
+		this._keyboardInputCallbackType = "release";
+	}
+
+	SQInput.onNextKeyboardPress = function(callback) {
+		this._keyboardInputCallback = callback;
+		this._keyboardInputCallbackType = "press";
+	}
+
+
+	SQInput.cancelOnNextKeyboardInput = function() {
+		this._keyboardInputCallback = null;
+		this._keyboardInputCallbackType = null;
+	}
+
+
+	SQInput.nextKeyboardInputHandler = function(event) {
+		let type = event.type === "keyup" ? "release" : "press";
+
+		if (type === "press") {
+			this.onRealInput();
+		}
+
+		if (typeof this._keyboardInputCallback === "function" && this._keyboardInputCallbackType === type) {
+			let callback = this._keyboardInputCallback;
+			this._keyboardInputCallback = null;
+			this._keyboardInputCallbackType = null;
+
+			callback(event, type);
+		}
+
+		this.lastInputDevice = "keyboard";
+	}
+
+
+	// Adds a gamepad-like object with an index, buttons and axes that will be updated every frame. The index
+	// should not be a number, so it can't collide with a real gamepad
+	SQInput.addVirtualGamepad = function(gamepad) {
+		if (!this.virtualGamepads.includes(gamepad)) {
+			this.virtualGamepads.push(gamepad);
+		}
+	}
+
+
+	SQInput.removeVirtualGamepad = function(gamepad) {
+		this.virtualGamepads = this.virtualGamepads.filter(g => g !== gamepad);
+	}
+
+
+	SQInput.updateVirtualGamepads = function() {
+		for (let gamepad of this.virtualGamepads) {
+			this.originalUpdateGamepadState.call(Input, gamepad);
+		}
+	}
+
+
+	// Run the given callback the next time a mouse button is pressed or the wheel is scrolled. Only fires once per call.
+	SQInput.onNextMouseInput = function(callback) {
+		this._mouseInputCallback = callback;
+	}
+
+
+	SQInput.cancelOnNextMouseInput = function() {
+		this._mouseInputCallback = null;
+	}
+
+
+	SQInput.nextMouseInputHandler = function(code, type) {
+		if (type === "press") {
+			this.onRealInput();
+		}
+
+		if (typeof this._mouseInputCallback === "function" && type === "press") {
+			let callback = this._mouseInputCallback;
+			this._mouseInputCallback = null;
+
+			callback(code, type);
+		}
+
+		this.lastInputDevice = "mouse";
+	}
+
+
+	// Mouse buttons are given codes like "Mouse0" so they can be stored alongside keyboard codes
+	SQInput.onMouseButton = function(event) {
+		let code = "Mouse" + event.button;
+		let pressed = event.type === "mousedown";
+		let buttonNames = Input.mouseMapper[code];
+
+		if (buttonNames) {
+			// Keep the back and forward buttons from navigating away from the game in browsers
+			event.preventDefault();
+
+			for (let b of buttonNames) {
+				Input._currentState[b] = pressed;
+			}
+		}
+
+		this.nextMouseInputHandler(code, pressed ? "press" : "release");
+	}
+
+
+	// The wheel doesn't have a release event, so each scroll presses its inputs until the end of the next update
+	SQInput.onMouseWheel = function(event) {
+		if (event.deltaY === 0) {
+			return;
+		}
+
+		let code = event.deltaY < 0 ? "WheelUp" : "WheelDown";
+		let buttonNames = Input.mouseMapper[code];
+
+		if (buttonNames) {
+			for (let b of buttonNames) {
+				Input._currentState[b] = true;
+			}
+			this._wheelNames = this._wheelNames.concat(buttonNames);
+		}
+
+		this.nextMouseInputHandler(code, "press");
+	}
+
+
+	SQInput.releaseMouseWheel = function() {
+		for (let b of this._wheelNames) {
+			Input._currentState[b] = false;
+		}
+
+		this._wheelNames = [];
+	}
+
+
+	// Returns the keyboard codes that are currently held down
+	SQInput.getHeldKeys = function() {
+		return Object.keys(Input._keyStates).filter(code => Input._keyStates[code]);
+	}
+
+
+	// Returns the indexes of the buttons that are currently held on the gamepad of the player whose input is
+	// being captured
+	SQInput.getHeldGamepadButtons = function() {
+		let state = this.player(this.inputCapturePlayer).getGamepadState();
+		let held = [];
+		for (let i = 0; i < state.length; i++) {
+			if (state[i]) {
+				held.push(i);
+			}
+		}
+
+		return held;
+	}
+
+
+	// Builds a keyboard binding from a key and any modifiers that are being held along with it. If a modifier is
+	// the key being checked while another key is held, the other key is used as the main key instead
+	SQInput.getKeyboardChord = function(code) {
+		let held = this.getHeldKeys().filter(k => k !== code);
+		let key = code;
+
+		if (this.isModifierKey(code)) {
+			key = held.find(k => !this.isModifierKey(k)) || code;
+		}
+
+		let modifiers = held.concat([code]).filter(k => k !== key && this.isModifierKey(k));
+		return this.makeChord(modifiers, key);
+	}
+
+
+	// Builds a gamepad binding from a released button and any buttons still held. The first button pressed
+	// is treated as a modifier, so pressing LB then A gives LB+A regardless of which is released first
+	SQInput.getGamepadChord = function(buttonIndex, firstButton) {
+		let held = this.getHeldGamepadButtons().filter(b => b !== buttonIndex);
+		if (!held.length) {
+			return buttonIndex;
+		}
+
+		let key = buttonIndex !== firstButton ? buttonIndex : held[held.length - 1];
+		let modifiers = held.concat([buttonIndex]).filter(b => b !== key);
+		return this.makeChord(modifiers, key);
+	}
+
+
+	// Returns an array of the keyboard and gamepad buttons for each SQ function
+	// Used to save config data
+	SQInput.getControlMap = function() {
+		let controlMap = {};
+		for (let func in this.inputs) {
+			controlMap[func] = this.copyBindings(this.inputs[func].bindings);
+		}
+
+		return controlMap;
+	}
+
+
+	// Turns a control's saved bindings into a full bindings object. Devices that weren't saved, like the mouse in
+	// configs from before mouse bindings existed, keep their default bindings
+	SQInput.loadSavedBindings = function(buttons, defaultBindings) {
+		// Configs saved before multiple bindings were supported have a single button per device
+		if ("keyboardButton" in buttons || "gamepadButton" in buttons) {
+			buttons = {
+				keyboard: [buttons.keyboardButton],
+				gamepad: [buttons.gamepadButton]
+			};
+		}
+
+		let bindings = this.normalizeBindings(buttons);
+		for (let device of this.bindingDevices) {
+			if (!(device in buttons)) {
+				bindings[device] = defaultBindings[device].slice();
+			}
+		}
+
+		return bindings;
+	}
+
+
+	// Sets the keyboard and gamepad buttons for each custom function
+	// Used when loading config values. Locked controls keep their defaults
+	SQInput.setControlMap = function(map) {
+		if (map) {
+			for (let key in map) {
+				let func = this.inputs[key];
+
+				if (func && !func.locked) {
+					func.bindings = this.loadSavedBindings(map[key], func.defaultBindings);
+				}
+			}
+
+			SQInput.rebuildButtonMapper();
+		}
+	}
+
+	// Player 1's bindings, button set and gamepad, as they're saved in a save file
+	SQInput.makeControlLayout = function() {
+		return {
+			controlsVersion: this.getControlsVersion(),
+			controlMap: this.getControlMap(),
+			buttonSet: this.getButtonSet(),
+			buttonSetOverridden: this.isButtonSetOverridden(),
+			gamepadName: this.targetGamepadName
+		};
+	}
+
+
+	SQInput.applyControlLayout = function(layout) {
+		this.resetMap();
+		this.setControlMap(layout.controlMap);
+		this.changeButtonSet(layout.buttonSet || 0);
+		this.buttonSetOverridden = !!layout.buttonSetOverridden;
+		this.setTargetGamepadName(layout.gamepadName || null);
+	}
+
+
+	// The controls that are saved in the config. While a save's own controls are in use, these are the ones
+	// that were set aside
+	SQInput.getGlobalControlLayout = function() {
+		return this.controlScope === "save" ? this._globalControlLayout : this.makeControlLayout();
+	}
+
+
+	// The save scope only makes sense once there's a game to save
+	SQInput.canUseSaveControls = function() {
+		return this.perSaveControls && this._gameInProgress;
+	}
+
+
+	// Switching to "save" starts the save's controls as a copy of the global ones. Switching back to "global"
+	// drops them and goes back to the global controls
+	SQInput.setControlScope = function(scope) {
+		if (scope === this.controlScope) {
+			return;
+		}
+
+		if (scope === "save") {
+			this._globalControlLayout = this.makeControlLayout();
+			this.controlScope = "save";
+		}
+		else {
+			this.controlScope = "global";
+			this.applyControlLayout(this._globalControlLayout);
+			this._globalControlLayout = null;
+		}
+	}
+
+
+	// Called when a save is loaded, with the controls stored in it, if any
+	SQInput.loadSaveControls = function(layout) {
+		this._gameInProgress = true;
+		if (!this.perSaveControls || !layout || !layout.controlMap) {
+			this.setControlScope("global");
+			return;
+		}
+
+		this.migrateControlMap(layout.controlMap, layout.controlsVersion || 0);
+		this.setControlScope("save");
+		this.applyControlLayout(layout);
+		this.player(1).resolveDuplicateBindings(Object.keys(layout.controlMap));
+	}
+
+
+	// Declares controls that were renamed or removed. A migration is {version, renames, removals}, where renames
+	// maps old names to new ones and removals lists names. Migrations are applied in order of version to saved
+	// controls that are older than them, so each update that changes the controls should use a higher version
+	SQInput.addControlMigration = function(migration) {
+		this.controlMigrations.push({
+			version: Number(migration.version) || 1,
+			renames: migration.renames || {},
+			removals: migration.removals || []
+		});
+		this.controlMigrations.sort((a, b) => a.version - b.version);
+	}
+
+
+	// The version of the controls, which is saved with the config so later migrations know where to start
+	SQInput.getControlsVersion = function() {
+		return this.controlMigrations.reduce((version, migration) => Math.max(version, migration.version), 0);
+	}
+
+
+	// Brings a saved control map from an older version of the controls up to date. The map is changed in place
+	SQInput.migrateControlMap = function(controlMap, fromVersion) {
+		if (!controlMap || typeof controlMap !== "object") {
+			return controlMap;
+		}
+
+		for (let migration of this.controlMigrations) {
+			if (migration.version <= fromVersion) {
+				continue;
+			}
+
+			for (let from in migration.renames) {
+				let to = migration.renames[from];
+				if (from in controlMap) {
+					if (!(to in controlMap)) {
+						controlMap[to] = controlMap[from];
+					}
+					delete controlMap[from];
+				}
+			}
+
+			for (let name of migration.removals) {
+				delete controlMap[name];
+			}
+		}
+
+		return controlMap;
+	}
+
+
+	// Clears bindings that clash after loading saved controls, such as a new control's default key that the
+	// player already chose for another control. Locked controls keep their bindings first, then the controls in
+	// savedControls. Clashes between two controls of the same rank are left alone, since they were either chosen
+	// by the player or set up by the developer. Returns the number of bindings that were cleared
+	SQInput.resolveDuplicateBindings = function(getBindings, savedControls) {
+		if (this.conflictPolicy === "allow") {
+			return 0;
+		}
+
+		let rank = (control) => this.isLocked(control) ? 2 : (savedControls.includes(control) ? 1 : 0);
+		let controls = Object.keys(this.inputs);
+		let cleared = 0;
+
+		for (let device of this.bindingDevices) {
+			for (let a = 0; a < controls.length; a++) {
+				for (let b = a + 1; b < controls.length; b++) {
+					let first = controls[a];
+					let second = controls[b];
+					if (rank(first) === rank(second) || !this.sharesContext(first, second)) {
+						continue;
+					}
+
+					let loser = rank(first) > rank(second) ? second : first;
+					let keep = getBindings(loser === first ? second : first)[device];
+					let bindings = getBindings(loser)[device];
+					for (let slot = 0; slot < bindings.length; slot++) {
+						if (bindings[slot] !== null && keep.includes(bindings[slot])) {
+							bindings[slot] = null;
+							cleared++;
+						}
+					}
+				}
+			}
+		}
+
+		return cleared;
+	}
+
+
+	// Returns the names of the presets, followed by the player's profiles
+	SQInput.getProfileNames = function() {
+		return this.presets.concat(this.profiles).map(profile => profile.name);
+	}
+
+
+	SQInput.findProfile = function(name) {
+		return this.presets.concat(this.profiles).find(profile => profile.name === name) || null;
+	}
+
+
+	// Presets come from the plugin parameters, so they can't be renamed or deleted
+	SQInput.isPreset = function(name) {
+		return this.presets.some(preset => preset.name === name);
+	}
+
+
+	SQInput.getActiveProfile = function() {
+		return this.activeProfile;
+	}
+
+
+	SQInput.isProfileNameAvailable = function(name) {
+		return typeof name === "string" && name.trim() !== "" && !this.findProfile(name);
+	}
+
+
+	// Returns the name, or the name followed by the first number that makes it unique
+	SQInput.uniqueProfileName = function(name) {
+		let unique = name;
+		for (let n = 2; !this.isProfileNameAvailable(unique); n++) {
+			unique = name + " " + n;
+		}
+
+		return unique;
+	}
+
+
+	// Copies the current bindings into the active profile. Presets are left as they are, and so are profiles
+	// while a save's own controls are in use
+	SQInput.storeActiveProfile = function() {
+		if (this.controlScope === "save") {
+			return;
+		}
+
+		let profile = this.profiles.find(p => p.name === this.activeProfile);
+		if (profile) {
+			profile.controlMap = this.getControlMap();
+		}
+	}
+
+
+	// Switches to a preset or profile. Controls that it doesn't list go back to their defaults
+	SQInput.activateProfile = function(name) {
+		let profile = this.findProfile(name);
+		if (!profile) {
+			return false;
+		}
+
+		this.storeActiveProfile();
+		this.activeProfile = name;
+		this.resetMap();
+		this.setControlMap(profile.controlMap);
+		return true;
+	}
+
+
+	// Saves the current bindings as a new profile, which becomes the active one
+	SQInput.createProfile = function(name) {
+		if (!this.isProfileNameAvailable(name)) {
+			return false;
+		}
+
+		this.storeActiveProfile();
+		this.profiles.push({name: name, controlMap: this.getControlMap()});
+		this.activeProfile = name;
+		return true;
+	}
+
+
+	SQInput.renameProfile = function(name, newName) {
+		let profile = this.profiles.find(p => p.name === name);
+		if (!profile || (newName !== name && !this.isProfileNameAvailable(newName))) {
+			return false;
+		}
+
+		profile.name = newName;
+		if (this.activeProfile === name) {
+			this.activeProfile = newName;
+		}
+
+		return true;
+	}
+
+
+	// Copies a preset or profile into a new profile and activates it. Returns the new profile's name, or null
+	SQInput.duplicateProfile = function(name) {
+		let profile = this.findProfile(name);
+		if (!profile) {
+			return null;
+		}
+
+		this.storeActiveProfile();
+		let controlMap = name === this.activeProfile ? this.getControlMap() : JSON.parse(JSON.stringify(profile.controlMap));
+		let newName = this.uniqueProfileName(name);
+		this.profiles.push({name: newName, controlMap: controlMap});
+		this.activateProfile(newName);
+		return newName;
+	}
+
+
+	// Deleting the active profile switches back to the default preset
+	SQInput.deleteProfile = function(name) {
+		let index = this.profiles.findIndex(p => p.name === name);
+		if (index < 0) {
+			return false;
+		}
+
+		this.profiles.splice(index, 1);
+		if (this.activeProfile === name) {
+			this.activateProfile(this.presets[0].name);
+		}
+
+		return true;
+	}
+
+
+	// Used to save the profiles in the config
+	SQInput.getProfileData = function() {
+		this.storeActiveProfile();
+		return {
+			active: this.activeProfile,
+			profiles: this.profiles.map(p => ({name: p.name, controlMap: p.controlMap}))
+		};
+	}
+
+
+	// Restores the saved profiles. The current bindings are loaded separately, so they aren't applied here
+	SQInput.setProfileData = function(data) {
+		if (!data) {
+			return;
+		}
+
+		this.profiles = (data.profiles || []).filter(p => p && p.name && !this.isPreset(p.name));
+		this.activeProfile = this.findProfile(data.active) ? data.active : this.presets[0].name;
+	}
+
+
+	// Changes the input for a particular control. Slot 0 is the primary binding. Returns false if the conflict
+	// policy kept the change from being made
+	SQInput.setControlButton = function(control, keyCode, device, slot = 0) {
+		if (!this.inputs[control] || !this.inputs[control].bindings[device]) {
+			return false;
+		}
+
+		if (!this.assignBinding((i) => this.inputs[i].bindings, control, keyCode, device, slot)) {
+			return false;
+		}
+
+		this.rebuildButtonMapper();
+		return true;
+	}
+
+
+	// Returns the control and slot that already use a key, or null if it's free
+	SQInput.getConflict = function(control, keyCode, device, slot = 0) {
+		return this.findConflict((i) => this.inputs[i].bindings, control, keyCode, device, slot);
+	}
+
+
+	// Looks for another control in the same context that already uses a key. getBindings returns the bindings
+	// object of a control, so each player can keep their own
+	SQInput.findConflict = function(getBindings, control, keyCode, device, slot) {
+		if (keyCode === null) {
+			return null;
+		}
+
+		for (let i in this.inputs) {
+			let index = getBindings(i)[device].indexOf(keyCode);
+			if (index >= 0 && (i !== control || index !== slot) && this.sharesContext(i, control)) {
+				return {control: i, slot: index};
+			}
+		}
+
+		return null;
+	}
+
+
+	// Binds a key to a control's slot. If another control already uses the key, the conflict policy decides
+	// what happens. Returns false if the binding was rejected
+	SQInput.assignBinding = function(getBindings, control, keyCode, device, slot) {
+		if (this.isLocked(control)) {
+			return false;
+		}
+
+		let conflict = this.findConflict(getBindings, control, keyCode, device, slot);
+
+		if (conflict && this.conflictPolicy === "reject") {
+			return false;
+		}
+
+		// Locked and hidden controls can't give up their key in a swap
+		if (conflict && this.conflictPolicy !== "allow" && !this.canSwapBinding(conflict.control)) {
+			return false;
+		}
+
+		// "ask" has already been confirmed by the player by the time it gets here, so it swaps too
+		if (conflict && this.conflictPolicy !== "allow") {
+			let currentControlKey = getBindings(control)[device][slot];
+			getBindings(conflict.control)[device][conflict.slot] = currentControlKey;
+		}
+
+		getBindings(control)[device][slot] = keyCode;
+		return true;
+	}
+
+
+	SQInput.setGamepadButton = function(control, buttonIndex, slot = 0) {
+		return this.setControlButton(control, buttonIndex, "gamepad", slot);
+	}
+
+
+	SQInput.setKeyboardButton = function(control, keyCode, slot = 0) {
+		return this.setControlButton(control, keyCode, "keyboard", slot);
+	}
+
+
+	// Draw a keyboard icon based on the name of a SQ function. For chords, this is the main key's icon
+	SQInput.getKeyboardControlIconIndex = function(param) {
+		return this.getBindingIconIndices(this.getBinding(param, "keyboard"), "keyboard").pop();
+	}
+
+
+	// Draw a gamepad icon based on the name of a SQ function. For chords, this is the main button's icon
+	SQInput.getGamepadControlIconIndex = function(param) {
+		return this.getBindingIconIndices(this.getBinding(param, "gamepad"), "gamepad").pop();
+	}
+
+
+	// Returns one icon for each key in a binding. For chords, the main key's icon is last
+	SQInput.getBindingIconIndices = function(binding, device) {
+		if (binding === null) {
+			return [this.defaultButtonIcon];
+		}
+
+		return this.parseBinding(binding, device).map((key) => {
+			if (device === "gamepad") {
+				return this.getGamepadIconIndex(key);
+			}
+			else if (device === "mouse") {
+				return this.getMouseIconIndex(key);
+			}
+
+			return this.getKeyboardIconIndex(key);
+		});
+	}
+
+
+	// Icon index for a single mouse code
+	SQInput.getMouseIconIndex = function(code) {
+		if (code in this.mouseCodeToIconIndex) {
+			return this.baseMouseIconIndex + this.mouseCodeToIconIndex[code];
+		}
+
+		return this.defaultButtonIcon;
+	}
+
+
+	// Icon index for a single keyboard code
+	SQInput.getKeyboardIconIndex = function(code) {
+		const arrowCodes = ["ArrowLeft", "ArrowUp", "ArrowRight", "ArrowDown"];
+
+		// A very ugly hack because the keyboard icon set doesn't have its own set of arrows
+		// All of the controller button sets have copies of the arrows, so use the first one of those
+		if (arrowCodes.includes(code)) {
+			return this.baseControlIconIndex + arrowCodes.indexOf(code);
+		}
+		else if (code in this.codeToIconIndex) {
+			return this.baseKeyboardIconIndex + this.codeToIconIndex[code];
+		}
+
+		return this.defaultButtonIcon;
+	}
+
+
+	// Icon index for a single gamepad button in the active button set
+	SQInput.getGamepadIconIndex = function(buttonIndex) {
+		let iconSet = this.activeButtonSet;
+		let iconOffset = this.gamepadIndexToIconIndex[buttonIndex];
+
+		let extendedOffset = this.gamepadIndexToExtendedIconIndex[buttonIndex];
+		if (extendedOffset !== undefined) {
+			return this.baseExtendedIconIndex + (this.extendedIconSetSize * iconSet) + extendedOffset;
+		}
+
+		if (iconOffset === undefined) {
+			return this.defaultButtonIcon;
+		}
+
+		// Map all arrow icons to the first set of arrows
+		if (iconOffset >= 0 && iconOffset <= 3) {
+			iconSet = 0;
+		}
+
+		return this.baseControlIconIndex + (this.buttonSetSize * iconSet) + iconOffset;
+	}
+
+
+	SQInput.getAnalogThreshold = function(name) {
+		return this.analogThresholds[name];
+	}
+
+
+	// Changes the value that an analog input needs to reach to count as pressed
+	SQInput.setAnalogThreshold = function(name, threshold) {
+		if (name in this.analogThresholds) {
+			this.analogThresholds[name] = Number(threshold).clamp(0.01, 0.99);
+		}
+	}
+
+
+	// Returns how far an analog input is pushed in its direction, from 0 to 1. Stick directions use the
+	// given axes, so that deadzones can be applied first
+	SQInput.getAnalogValue = function(gamepad, analogButton, axes = gamepad.axes) {
+		if ("button" in analogButton) {
+			let button = gamepad.buttons[analogButton.button];
+			return button ? button.value : 0;
+		}
+
+		let value = axes[analogButton.axis] || 0;
+		return Math.max(value * analogButton.direction, 0);
+	}
+
+
+	// Returns the settings for the "left" or "right" stick, including any changes made by the player
+	SQInput.getStickSettings = function(stick) {
+		return Object.assign({}, this.stickSettings[stick], this.stickOverrides[stick]);
+	}
+
+
+	// Overrides one of the stick settings for the "left" or "right" stick. A value of null restores the default
+	SQInput.setStickOverride = function(stick, setting, value) {
+		if (value === null) {
+			delete this.stickOverrides[stick][setting];
+		}
+		else {
+			this.stickOverrides[stick][setting] = value;
+		}
+	}
+
+
+	SQInput.getStickOverrides = function() {
+		return {
+			left: Object.assign({}, this.stickOverrides.left),
+			right: Object.assign({}, this.stickOverrides.right)
+		};
+	}
+
+
+	SQInput.setStickOverrides = function(overrides) {
+		this.stickOverrides = {
+			left: Object.assign({}, overrides && overrides.left),
+			right: Object.assign({}, overrides && overrides.right)
+		};
+	}
+
+
+	// Rumbles the active gamepad. Strong and weak are the strengths of the two motors, from 0 to 1, and are scaled
+	// by the player's rumble intensity. Does nothing if rumble is off or the gamepad can't rumble
+	SQInput.rumble = function(strong, weak, durationMs) {
+		let actuator = this.getVibrationActuator();
+		if (!actuator || !this.rumbleEnabled || this.rumbleIntensity <= 0) {
+			return;
+		}
+
+		let effect = actuator.playEffect("dual-rumble", {
+			startDelay: 0,
+			duration: durationMs,
+			strongMagnitude: (Number(strong) * this.rumbleIntensity).clamp(0, 1),
+			weakMagnitude: (Number(weak) * this.rumbleIntensity).clamp(0, 1)
+		});
+
+		// Effects are rejected when another one preempts them, which isn't a problem
+		if (effect && effect.catch) {
+			effect.catch(() => {});
+		}
+	}
+
+
+	// Plays a rumble pattern from the plugin parameters. Each step starts after the previous one and its pause
+	SQInput.playRumblePattern = function(name) {
+		let pattern = this.rumblePatterns[name];
+		if (!pattern) {
+			return;
+		}
+
+		this.stopRumble();
+
+		let delay = 0;
+		for (let step of pattern) {
+			let rumbleStep = () => this.rumble(step.strong, step.weak, step.duration);
+			if (delay === 0) {
+				rumbleStep();
+			}
+			else {
+				this._rumbleTimeouts.push(setTimeout(rumbleStep, delay));
+			}
+
+			delay += step.duration + step.pause;
+		}
+	}
+
+
+	// Stops the current rumble and any pattern steps that haven't started yet
+	SQInput.stopRumble = function() {
+		for (let timeout of this._rumbleTimeouts) {
+			clearTimeout(timeout);
+		}
+		this._rumbleTimeouts = [];
+
+		let actuator = this.getVibrationActuator();
+		if (actuator && actuator.reset) {
+			let reset = actuator.reset();
+			if (reset && reset.catch) {
+				reset.catch(() => {});
+			}
+		}
+	}
+
+
+	// Returns the active gamepad's vibration actuator, or null if it doesn't have one
+	SQInput.getVibrationActuator = function() {
+		let gamepad = this.getGamepads()[this.activeGamepadIndex];
+		if (!gamepad || !gamepad.vibrationActuator || !gamepad.vibrationActuator.playEffect) {
+			return null;
+		}
+
+		return gamepad.vibrationActuator;
+	}
+
+
+	SQInput.setRumbleEnabled = function(enabled) {
+		this.rumbleEnabled = !!enabled;
+		if (!this.rumbleEnabled) {
+			this.stopRumble();
+		}
+	}
+
+
+	// Sets the scale applied to every rumble, from 0 to 1
+	SQInput.setRumbleIntensity = function(intensity) {
+		this.rumbleIntensity = Number(intensity).clamp(0, 1);
+	}
+
+
+	// Applies the deadzones and response curve to a stick's raw position
+	SQInput.processStick = function(x, y, settings) {
+		x = x || 0;
+		y = y || 0;
+
+		// With no deadzones and a linear curve, the stick reports its raw position like it does without SQInput.
+		// Radial mode would otherwise still clamp diagonals to the unit circle
+		if (!this.hasStickProcessing(settings)) {
+			return {x: x, y: y};
+		}
+
+		if (settings.deadzoneMode === "axial") {
+			return {
+				x: this.applyResponseCurve(this.applyDeadzone(x, settings), settings),
+				y: this.applyResponseCurve(this.applyDeadzone(y, settings), settings)
+			};
+		}
+
+		let magnitude = Math.sqrt((x * x) + (y * y));
+		if (magnitude === 0) {
+			return {x: 0, y: 0};
+		}
+
+		let scaled = this.applyResponseCurve(this.applyDeadzone(magnitude, settings), settings);
+		return {
+			x: x / magnitude * scaled,
+			y: y / magnitude * scaled
+		};
+	}
+
+
+	SQInput.hasStickProcessing = function(settings) {
+		return settings.innerDeadzone > 0 || settings.outerDeadzone < 1 || settings.responseCurve !== "linear";
+	}
+
+
+	// Rescales a value so the inner deadzone maps to 0 and the outer deadzone maps to 1
+	SQInput.applyDeadzone = function(value, settings) {
+		let range = Math.max(settings.outerDeadzone - settings.innerDeadzone, 0.01);
+		let scaled = ((Math.abs(value) - settings.innerDeadzone) / range).clamp(0, 1);
+		return Math.sign(value) * scaled;
+	}
+
+
+	SQInput.applyResponseCurve = function(value, settings) {
+		let exponent = 1;
+		if (settings.responseCurve === "quadratic") {
+			exponent = 2;
+		}
+		else if (settings.responseCurve === "exponent") {
+			exponent = settings.curveExponent;
+		}
+
+		return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+	}
+
+
+	// Checks for a 5-second long press. Used for the failsafe control remap reset
+	SQInput.isVeryLongPressed = function(keyName) {
+		return (
+			Input.isPressed(keyName) &&
+			Input.getHoldDuration(keyName) > 300
+		);
+	};
+
+
+	// Whether an input that's been held for the given number of frames repeats on this frame. It fires on the
+	// first frame, then every keyRepeatInterval frames once it's been held past keyRepeatWait
+	SQInput.isRepeatFrame = function(holdDuration) {
+		let time = holdDuration - 1;
+		return (
+			time === 0 ||
+			(time >= Input.keyRepeatWait && time % Input.keyRepeatInterval === 0)
+		);
+	}
+
+
+	// Escape params normally only support integer parameters. To support using names of inputs,
+	// the regex is adjusted to also look for letters and underscores, plus "+" for chords. The parseInt call is also
+	// replaced by removing the trailing ]. It doesn't seem like the return value must be an integer
+	// and that the parse was just a janky way of trimming the string?
+	// defaultObtainEscapeParam = Window_Base.prototype.obtainEscapeParam;
+	SQInput.obtainEscapeParam = function(textState) {
+		const regExp = /^\[[\da-zA-Z_+]+\]/;
+		const arr = regExp.exec(textState.text.slice(textState.index));
+		if (arr) {
+			textState.index += arr[0].length;
+			return arr[0].slice(1, arr[0].length - 1);
+		} else {
+			return "";
+		}
+	};
+
+	// Returns the sticks and triggers of the active gamepad, or the recorded ones during playback
+	SQInput.getActiveAxes = function() {
+		if (this.isPlayingBack()) {
+			return this._playback.axes;
+		}
+
+		if (this.activeGamepadIndex >= 0 && this.activeGamepadIndex in Input._gamepadAxes) {
+			return Input._gamepadAxes[this.activeGamepadIndex];
+		}
+
+		return null;
+	}
+
+	Input.getLeftJoystick = function() {
+		let axes = SQInput.getActiveAxes();
+		if (axes) {
+			return axes.left;
+		}
+	}
+
+	Input.getRightJoystick = function() {
+		let axes = SQInput.getActiveAxes();
+		if (axes) {
+			return axes.right;
+		}
+	}
+
+	// Returns how far the "lt" or "rt" trigger is pulled, from 0 to 1
+	Input.getTriggerValue = function(trigger) {
+		let axes = SQInput.getActiveAxes();
+		if (axes && axes.triggers) {
+			return axes.triggers[trigger] || 0;
+		}
+
+		return 0;
+	}
+
+
+	// Returns the icon index for an escape code, or a list of icon indexes if it refers to a chord
+	Window_Base.prototype.obtainEscapeCodeIconIndex = function(code, param) {
+		let iconIndex = -1;
+
+		ImageManager.setIconImage(SQInput.buttonIconSet)
+
+		if (code === "KBCTRL" && param in SQInput.inputs) {
+			iconIndex = SQInput.getBindingIconIndices(SQInput.getBinding(param, "keyboard"), "keyboard");
+		}
+		else if (code === "JPCTRL" && param in SQInput.inputs) {
+			iconIndex = SQInput.getBindingIconIndices(SQInput.getBinding(param, "gamepad"), "gamepad");
+		}
+		else if (code === "MSCTRL" && param in SQInput.inputs) {
+			iconIndex = SQInput.getBindingIconIndices(SQInput.getBinding(param, "mouse"), "mouse");
+		}
+		else if (code === "CTRL" && param in SQInput.inputs) {
+			let device = SQInput.lastInputDevice;
+
+			// While using the keyboard and mouse, show whichever of the two the control is bound to, preferring the
+			// one that was used last
+			if (device === "mouse" && SQInput.getBinding(param, "mouse") === null) {
+				device = "keyboard";
+			}
+			else if (device === "keyboard" && SQInput.getBinding(param, "keyboard") === null && SQInput.getBinding(param, "mouse") !== null) {
+				device = "mouse";
+			}
+
+			iconIndex = SQInput.getBindingIconIndices(SQInput.getBinding(param, device), device);
+		}
+		else if (code === "KB") {
+			iconIndex = SQInput.getBindingIconIndices(param, "keyboard");
+		}
+		// JP = Joypad. This was originally GP for Gamepad, but the control character interacts strangely with the "G"
+		else if (code === "JP") {
+			iconIndex = SQInput.getBindingIconIndices(param, "gamepad");
+		}
+		else if (code === "MS") {
+			iconIndex = SQInput.getBindingIconIndices(param, "mouse");
+		}
+		else {
+			ImageManager.resetIconImage();
+		}
+
+		if (Array.isArray(iconIndex) && iconIndex.length === 1) {
+			iconIndex = iconIndex[0];
+		}
+
+		return iconIndex
+	}
+
+	// Override escape character processing to handle custom icon drawing
+	// This makes drawing icons based on their function and button set possible
+	SQInput.defaultProcessEscapeCharacter = Window_Base.prototype.processEscapeCharacter;
+	Window_Base.prototype.processEscapeCharacter = function(code, textState, param = null) {
+		let originalState = Object.assign({}, textState);
+		let sqParam = param || SQInput.obtainEscapeParam(textState);
+
+		let iconIndex = this.obtainEscapeCodeIconIndex(code, sqParam);
+
+		if (code.startsWith("DBL")) {
+			let regex = /\|(\w+)\|(\w+)\[(\w+)\|(\w+)\]/i;
+			let matches = textState.text.substring(textState.index).match(regex);
+
+			if (matches.length === 5) {
+				// There's only room for one icon per input, so chords show their main key
+				let iconIndex1 = [].concat(this.obtainEscapeCodeIconIndex(matches[1], matches[3])).pop();
+				let iconIndex2 = [].concat(this.obtainEscapeCodeIconIndex(matches[2], matches[4])).pop();
+
+				ImageManager.setIconImage(SQInput.buttonIconSet)
+				this.processDrawDoubleIcon(iconIndex1, iconIndex2, textState);
+				ImageManager.resetIconImage();
+
+				textState.index += matches[0].length;
+			}
+
+		}
+		else if (Array.isArray(iconIndex)) {
+			this.processDrawChordIcons(iconIndex, textState);
+			ImageManager.resetIconImage();
+		}
+		else if (iconIndex >= 0) {
+			this.processDrawIcon(iconIndex, textState);
+			ImageManager.resetIconImage();
+		}
+		else {
+			Object.assign(textState, originalState);
+			SQInput.defaultProcessEscapeCharacter.call(this, code, textState, param);
+		}
+	}
+
+
+	// Chord keys are paired up into double icons, so Shift+Z takes up the space of a single icon
+	Window_Base.prototype.processDrawChordIcons = function(iconIndices, textState) {
+		for (let i = 0; i < iconIndices.length; i += 2) {
+			if (i + 1 < iconIndices.length) {
+				this.processDrawDoubleIcon(iconIndices[i], iconIndices[i + 1], textState);
+			}
+			else {
+				this.processDrawIcon(iconIndices[i], textState);
+			}
+		}
+	}
+
+	Window_Base.prototype.processDrawDoubleIcon = function(iconIndex1, iconIndex2, textState) {
+		if (textState.drawing) {
+			this.drawDoubleIcon(iconIndex1, iconIndex2, textState.x + 2, textState.y + 2);
+		}
+		textState.x += ImageManager.iconWidth + 4;
+	}
+
+	Window_Base.prototype.drawDoubleIcon = function(iconIndex1, iconIndex2, x, y, scaleX = 0.7, scaleY = 0.7) {
+		const bitmap = ImageManager.loadSystem(ImageManager.currentIconSet);
+		const pw = ImageManager.iconWidth;
+		const ph = ImageManager.iconHeight;
+		let sx = (iconIndex1 % 16) * pw;
+		let sy = Math.floor(iconIndex1 / 16) * ph;
+		this.contents.blt(bitmap, sx, sy, pw, ph, x, y, ImageManager.iconWidth * scaleX, ImageManager.iconHeight * scaleY);
+
+		sx = (iconIndex2 % 16) * pw;
+		sy = Math.floor(iconIndex2 / 16) * ph;
+		this.contents.blt(bitmap, sx, sy, pw, ph, x + (pw / 2), y + (ph / 2), ImageManager.iconWidth * scaleX, ImageManager.iconHeight * scaleY);
+	}
+
+	// Switch the active icon image. Used to render button icons in the control remapper scene
+	ImageManager.setIconImage = function(imageName) {
+		ImageManager.currentIconSet = imageName;
+	}
+
+	ImageManager.resetIconImage = function() {
+		ImageManager.currentIconSet = "IconSet";
+	}
+
+	Window_Base.prototype.drawIcon = function(iconIndex, x, y) {
+		const bitmap = ImageManager.loadSystem(ImageManager.currentIconSet);
+		const pw = ImageManager.iconWidth;
+		const ph = ImageManager.iconHeight;
+		const sx = (iconIndex % 16) * pw;
+		const sy = Math.floor(iconIndex / 16) * ph;
+		this.contents.blt(bitmap, sx, sy, pw, ph, x, y);
+	};
+
+	// This is a copy/paste from the base RMMZ Input._updateGamepadState
+	// VisuMZ overwrites this and does something that crashes if the full
+	// gamepad object isn't given to it. Whatever VisuMZ is doing hopefully
+	// isn't too important.
+	SQInput.originalUpdateGamepadState = function(gamepad) {
+		const lastState = this._gamepadStates[gamepad.index] || [];
+		const {state: newState, axes} = SQInput.readGamepad(gamepad);
+		for (let j = 0; j < newState.length; j++) {
+			if (newState[j] !== lastState[j]) {
+				// A chord takes the place of its main button's usual control while the modifiers are held
+				if (newState[j]) {
+					const chord = SQInput.findChord("gamepad", j, (b) => newState[b]);
+					if (chord) {
+						SQInput.activateChord("gamepad", chord);
+						continue;
+					}
+				}
+				else {
+					const wasChordKey = SQInput.isChordKeyActive("gamepad", j);
+					SQInput.releaseChords("gamepad", j);
+					if (wasChordKey) {
+						continue;
+					}
+				}
+
+				const buttonNames = this.gamepadMapper[j];
+				if (buttonNames) {
+					for (let b of buttonNames) {
+						this._currentState[b] = newState[j];
+					}
+				}
+			}
+		}
+		this._gamepadStates[gamepad.index] = newState;
+		this._gamepadAxes[gamepad.index] = axes;
+	}
+
+
+	// Reads the pressed state of each button, including the analog virtual buttons, and the processed stick and
+	// trigger values of a gamepad
+	SQInput.readGamepad = function(gamepad) {
+		const newState = [];
+		const buttons = gamepad.buttons;
+		const left = SQInput.processStick(gamepad.axes[0], gamepad.axes[1], SQInput.getStickSettings("left"));
+		const right = SQInput.processStick(gamepad.axes[2], gamepad.axes[3], SQInput.getStickSettings("right"));
+		const axes = [left.x, left.y, right.x, right.y];
+		newState[12] = false;
+		newState[13] = false;
+		newState[14] = false;
+		newState[15] = false;
+		for (let i = 0; i < buttons.length; i++) {
+			newState[i] = buttons[i].pressed;
+		}
+
+		// Stick directions and trigger pulls are added as virtual buttons, each using its own threshold
+		for (let index in SQInput.analogButtons) {
+			let analogButton = SQInput.analogButtons[index];
+			newState[index] = SQInput.getAnalogValue(gamepad, analogButton, axes) > SQInput.getAnalogThreshold(analogButton.name);
+		}
+
+		// The left stick also drives the D-pad
+		if (newState[32]) {
+			newState[12] = true; // up
+		} else if (newState[33]) {
+			newState[13] = true; // down
+		}
+		if (newState[34]) {
+			newState[14] = true; // left
+		} else if (newState[35]) {
+			newState[15] = true; // right
+		}
+
+		return {
+			state: newState,
+			axes: {
+				left:  left,
+				right: right,
+				triggers: {
+					lt: buttons[6] ? buttons[6].value : 0,
+					rt: buttons[7] ? buttons[7].value : 0
+				}
+			}
+		};
+	}
+
+	// Override gamepad updating because this is where new button presses can be detected
+	// If there's a new button press, fire the handler.
+	SQInput.defaultUpdateGamepadState = Input._updateGamepadState;
+	Input._updateGamepadState = function(gamepad) {
+		const originalState = this._gamepadStates[gamepad.index] || [];
+
+		if (SQInput.activeGamepadIndex === null) {
+			SQInput.updateActiveGamepad();
+		}
+
+		if (gamepad.index === SQInput.activeGamepadIndex) {
+			SQInput.originalUpdateGamepadState.call(Input, gamepad);
+		}
+
+		const newState = this._gamepadStates[gamepad.index] || [];
+
+		// Nothing is reported on the first poll after the state was cleared
+		const changed = originalState.length ? SQInput.findChangedButton(originalState, newState) : -1;
+		if (changed >= 0) {
+			SQInput.nextGamepadInputHandler(changed, newState[changed] === true ? "press" : "release");
+		}
+	}
+
+
+	// Picks the one button change in a poll that's passed on to the next input handlers, or -1 if nothing changed.
+	// Stick directions and analog trigger pulls change along with the D-pad and digital trigger buttons, which come
+	// first, so they're preferred. Otherwise they could never be captured when remapping
+	SQInput.findChangedButton = function(originalState, newState) {
+		let changed = [];
+		for (let i = 0; i < Math.max(originalState.length, newState.length); i++) {
+			if (!!originalState[i] !== !!newState[i]) {
+				changed.push(i);
+			}
+		}
+
+		let analog = changed.find(i => i in this.analogButtons);
+		return analog !== undefined ? analog : (changed.length ? changed[0] : -1);
+	}
+
+
+	// Returns the player in the given slot, starting from 1, or null if there's no such player. Player 1 uses the
+	// regular SQInput bindings and Input state
+	SQInput.player = function(slot) {
+		return this.players[slot - 1] || null;
+	}
+
+
+	SQInput.playerCount = function() {
+		return this.players.length;
+	}
+
+
+	SQInput.initPlayers = function() {
+		this.players = [new SQInput_Player(1)];
+
+		for (let settings of this.playerSlotSettings) {
+			this.players.push(new SQInput_Player(this.players.length + 1, settings));
+		}
+	}
+
+
+	// Picks a gamepad for each player after the first. A player's saved gamepad is used if it's connected.
+	// Otherwise, they get the first gamepad nobody else is using
+	SQInput.assignPlayerGamepads = function() {
+		let gamepads = this.getGamepads();
+		let claimed = [this.activeGamepadIndex];
+		let waiting = [];
+
+		for (let player of this.players.slice(1)) {
+			player._gamepadIndex = null;
+			if (player.device !== "gamepad") {
+				continue;
+			}
+
+			let gamepad = Array.from(gamepads).find(g => g && g.id === player.gamepadName && !claimed.includes(g.index));
+			if (gamepad) {
+				player._gamepadIndex = gamepad.index;
+				claimed.push(gamepad.index);
+			}
+			else {
+				waiting.push(player);
+			}
+		}
+
+		for (let player of waiting) {
+			let gamepad = Array.from(gamepads).find(g => g && g.connected && !claimed.includes(g.index));
+			if (gamepad) {
+				player._gamepadIndex = gamepad.index;
+				claimed.push(gamepad.index);
+			}
+		}
+	}
+
+
+	// Polls the gamepads of the players after the first and updates their press times. Called from Input.update
+	SQInput.updatePlayers = function() {
+		if (this.players.length < 2) {
+			return;
+		}
+
+		this.assignPlayerGamepads();
+		let gamepads = this.getGamepads();
+
+		for (let player of this.players.slice(1)) {
+			let gamepad = gamepads[player._gamepadIndex];
+			if (gamepad && gamepad.connected) {
+				player.updateGamepad(gamepad);
+			}
+
+			player.update();
+		}
+	}
+
+
+	// Passes a keyboard key to the players after the first that are using the keyboard
+	SQInput.updatePlayerKeys = function(code, pressed) {
+		for (let player of this.players.slice(1)) {
+			if (player.device === "keyboard") {
+				player.onInput("keyboard", code, pressed, (key) => Input._keyStates[key]);
+			}
+		}
+	}
+
+
+	SQInput.clearPlayers = function() {
+		for (let player of this.players.slice(1)) {
+			player.clear();
+		}
+	}
+
+
+	// Returns the device, gamepad and bindings of each player after the first. Used to save config data
+	SQInput.getPlayerData = function() {
+		return this.players.slice(1).map(player => ({
+			device: player.device,
+			gamepadName: player.gamepadName,
+			controlMap: player.getControlMap()
+		}));
+	}
+
+
+	SQInput.setPlayerData = function(data) {
+		if (!Array.isArray(data)) {
+			return;
+		}
+
+		for (let i = 0; i < data.length; i++) {
+			let player = this.player(i + 2);
+			if (player && data[i]) {
+				player.device = data[i].device === "keyboard" ? "keyboard" : "gamepad";
+				player.gamepadName = data[i].gamepadName || null;
+				player.setControlMap(data[i].controlMap);
+			}
+		}
+	}
+
+
+	// Starts recording the control state produced every frame. Math.random is replaced with a seeded generator
+	// while recording, so playing the recording back gives the same random results.
+	SQInput.startRecording = function() {
+		let seed = Math.floor(Math.random() * 0xffffffff);
+
+		this._recording = {
+			format: this.recordingFormat,
+			version: this.recordingVersion,
+			seed: seed,
+			startFrame: Graphics.frameCount,
+			length: 0,
+			frames: []
+		};
+		this._recordedState = {};
+		this._recordedAxes = null;
+
+		this.seedRandom(seed);
+	}
+
+
+	// Stops recording and returns the recording, which can be saved with SQInput.saveRecording
+	SQInput.stopRecording = function() {
+		let recording = this._recording;
+		this._recording = null;
+		this.restoreRandom();
+
+		return recording;
+	}
+
+
+	SQInput.isRecording = function() {
+		return !!this._recording;
+	}
+
+
+	// Plays back a recording through Input.update. Options:
+	// - stopOnInput: stop playback when a real key, button or mouse button is pressed. Defaults to true
+	// - onEnd: called when playback finishes or is stopped
+	SQInput.startPlayback = function(recording, options = {}) {
+		if (!this.isValidRecording(recording)) {
+			throw new Error("SQInput: not a valid input recording");
+		}
+
+		this._playback = {
+			recording: recording,
+			frame: 0,
+			entry: 0,
+			state: {},
+			axes: null,
+			stopOnInput: options.stopOnInput !== false,
+			onEnd: options.onEnd || null
+		};
+
+		Input.clear();
+		this.seedRandom(recording.seed);
+	}
+
+
+	SQInput.stopPlayback = function() {
+		let playback = this._playback;
+		if (!playback) {
+			return;
+		}
+
+		this._playback = null;
+		this.restoreRandom();
+		Input.clear();
+
+		if (typeof playback.onEnd === "function") {
+			playback.onEnd(playback.recording);
+		}
+	}
+
+
+	SQInput.isPlayingBack = function() {
+		return !!this._playback;
+	}
+
+
+	SQInput.isValidRecording = function(recording) {
+		return (
+			!!recording &&
+			recording.format === this.recordingFormat &&
+			recording.version <= this.recordingVersion &&
+			Array.isArray(recording.frames)
+		);
+	}
+
+
+	// Called when a real device is pressed, as opposed to the state coming from a recording
+	SQInput.onRealInput = function() {
+		if (this.isPlayingBack() && this._playback.stopOnInput) {
+			this.stopPlayback();
+		}
+	}
+
+
+	// Records or replays this frame's control state. Frames only store what changed since the previous frame.
+	SQInput.updateRecording = function() {
+		if (this.isPlayingBack()) {
+			this.playBackFrame();
+		}
+		else if (this.isRecording()) {
+			this.recordFrame();
+		}
+	}
+
+
+	SQInput.recordFrame = function() {
+		let recording = this._recording;
+		let entry = {f: recording.length};
+		let changes = {};
+		let changed = false;
+
+		for (let name in Input._currentState) {
+			let pressed = !!Input._currentState[name];
+			if (pressed !== !!this._recordedState[name]) {
+				changes[name] = pressed;
+				this._recordedState[name] = pressed;
+				changed = true;
+			}
+		}
+
+		if (changed) {
+			entry.s = changes;
+		}
+
+		let axes = JSON.stringify(this.getActiveAxes());
+		if (axes !== this._recordedAxes) {
+			entry.a = JSON.parse(axes);
+			this._recordedAxes = axes;
+		}
+
+		if (Input._virtualButton) {
+			entry.v = Input._virtualButton;
+		}
+
+		if (entry.s || "a" in entry || entry.v) {
+			recording.frames.push(entry);
+		}
+
+		recording.length++;
+	}
+
+
+	SQInput.playBackFrame = function() {
+		let playback = this._playback;
+		let frames = playback.recording.frames;
+
+		if (playback.frame >= playback.recording.length) {
+			this.stopPlayback();
+			return;
+		}
+
+		// Real input is replaced by the recorded state
+		for (let name in Input._currentState) {
+			Input._currentState[name] = false;
+		}
+		Input._virtualButton = null;
+
+		while (playback.entry < frames.length && frames[playback.entry].f === playback.frame) {
+			let entry = frames[playback.entry];
+			Object.assign(playback.state, entry.s);
+
+			if ("a" in entry) {
+				playback.axes = entry.a;
+			}
+
+			if (entry.v) {
+				Input._virtualButton = entry.v;
+			}
+
+			playback.entry++;
+		}
+
+		Object.assign(Input._currentState, playback.state);
+		playback.frame++;
+	}
+
+
+	// Replaces Math.random with a seeded generator (mulberry32) so random results can be reproduced
+	SQInput.seedRandom = function(seed) {
+		if (!this._defaultRandom) {
+			this._defaultRandom = Math.random;
+		}
+
+		let state = seed >>> 0;
+		Math.random = function() {
+			state = (state + 0x6d2b79f5) >>> 0;
+			let t = state;
+			t = Math.imul(t ^ (t >>> 15), t | 1);
+			t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+			return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+		};
+	}
+
+
+	SQInput.restoreRandom = function() {
+		if (this._defaultRandom && !this.isRecording() && !this.isPlayingBack()) {
+			Math.random = this._defaultRandom;
+			this._defaultRandom = null;
+		}
+	}
+
+
+	// Saves a recording to recordings/<name>.json in NW.js, or downloads it in a browser
+	SQInput.saveRecording = function(recording, name) {
+		let json = JSON.stringify(recording);
+
+		if (Utils.isNwjs()) {
+			const fs = require("fs");
+			const path = require("path");
+			let directory = this.recordingDirectoryPath();
+
+			if (!fs.existsSync(directory)) {
+				fs.mkdirSync(directory);
+			}
+
+			fs.writeFileSync(path.join(directory, name + ".json"), json);
+		}
+		else {
+			this.downloadJson(name, json);
+		}
+	}
+
+
+	// Downloads a JSON file in a browser. The object URL is revoked later, since revoking it right after the
+	// click can cancel the download
+	SQInput.downloadJson = function(name, json) {
+		let link = document.createElement("a");
+		link.href = URL.createObjectURL(new Blob([json], {type: "application/json"}));
+		link.download = name + ".json";
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+	}
+
+
+	// Loads recordings/<name>.json. Returns a promise with the recording
+	SQInput.loadRecording = function(name) {
+		return new Promise((resolve, reject) => {
+			// This runs in the file callbacks, so errors have to be passed to reject instead of thrown
+			let onLoad = (json) => {
+				try {
+					let recording = JSON.parse(json);
+					if (this.isValidRecording(recording)) {
+						resolve(recording);
+					}
+					else {
+						reject(new Error("SQInput: " + name + " is not a valid input recording"));
+					}
+				}
+				catch (e) {
+					reject(e);
+				}
+			};
+
+			if (Utils.isNwjs()) {
+				const fs = require("fs");
+				const path = require("path");
+				fs.readFile(path.join(this.recordingDirectoryPath(), name + ".json"), "utf8", (error, json) => {
+					if (error) {
+						reject(error);
+					}
+					else {
+						onLoad(json);
+					}
+				});
+			}
+			else {
+				let xhr = new XMLHttpRequest();
+				xhr.open("GET", "recordings/" + name + ".json");
+				xhr.onload = () => xhr.status < 400 ? onLoad(xhr.responseText) : reject(new Error(xhr.statusText));
+				xhr.onerror = () => reject(new Error("SQInput: failed to load " + name));
+				xhr.send();
+			}
+		});
+	}
+
+
+	SQInput.recordingDirectoryPath = function() {
+		const path = require("path");
+		const base = path.dirname(process.mainModule.filename);
+		return path.join(base, "recordings/");
+	}
+
+
+	// The bindings and button set that are shared when controls are exported. To keep it short, only controls
+	// that differ from their defaults are included, without their trailing empty slots
+	SQInput.makeControlMapExport = function() {
+		let controlMap = {};
+		for (let control in this.inputs) {
+			let input = this.inputs[control];
+			if (JSON.stringify(input.bindings) === JSON.stringify(input.defaultBindings)) {
+				continue;
+			}
+
+			controlMap[control] = {};
+			for (let device in input.bindings) {
+				let bindings = input.bindings[device].slice();
+				while (bindings.length > 0 && bindings[bindings.length - 1] === null) {
+					bindings.pop();
+				}
+
+				controlMap[control][device] = bindings;
+			}
+		}
+
+		return {
+			format: this.controlMapFormat,
+			version: this.controlMapVersion,
+			buttonSet: this.getButtonSet(),
+			controlMap: controlMap
+		};
+	}
+
+
+	// A short FNV-1a hash, used to catch exports that were cut short or edited by hand
+	SQInput.checksum = function(text) {
+		let hash = 0x811c9dc5;
+		for (let i = 0; i < text.length; i++) {
+			hash ^= text.charCodeAt(i);
+			hash = Math.imul(hash, 0x01000193);
+		}
+
+		return (hash >>> 0).toString(16).padStart(8, "0");
+	}
+
+
+	// Returns the current controls as "SQC<version>:<base64 data>:<checksum>"
+	SQInput.exportControlMap = function() {
+		let json = JSON.stringify(this.makeControlMapExport());
+		let encoded = btoa(unescape(encodeURIComponent(json)));
+		return "SQC" + this.controlMapVersion + ":" + encoded + ":" + this.checksum(json);
+	}
+
+
+	// Reads an exported string or file. Throws an error if it's damaged or from a newer version of the format
+	SQInput.parseControlMapExport = function(text) {
+		let json;
+		let checksum;
+		text = String(text).trim();
+
+		if (text.startsWith("{")) {
+			// Files hold the same data, with the checksum alongside it
+			let file = JSON.parse(text);
+			checksum = file.checksum;
+			delete file.checksum;
+			json = JSON.stringify(file);
+		}
+		else {
+			let match = text.match(/^SQC(\d+):([A-Za-z0-9+/=]+):([0-9a-f]{8})$/);
+			if (!match) {
+				throw new Error("SQInput: not an exported control map");
+			}
+
+			json = decodeURIComponent(escape(atob(match[2])));
+			checksum = match[3];
+		}
+
+		if (checksum !== this.checksum(json)) {
+			throw new Error("SQInput: the exported control map is damaged");
+		}
+
+		let data = JSON.parse(json);
+		if (data.format !== this.controlMapFormat) {
+			throw new Error("SQInput: not an exported control map");
+		}
+
+		if (data.version > this.controlMapVersion) {
+			throw new Error("SQInput: the control map was exported by a newer version");
+		}
+
+		return data;
+	}
+
+
+	// Returns a list of the problems with an exported control map. It can be imported if the list is empty
+	SQInput.validateControlMapExport = function(data) {
+		let problems = [];
+		let buttonSet = data.buttonSet;
+		if (!Number.isInteger(buttonSet) || buttonSet < 0 || buttonSet >= this.numButtonSets) {
+			problems.push("invalid button set " + buttonSet);
+		}
+
+		let controlMap = data.controlMap;
+		if (!controlMap || typeof controlMap !== "object") {
+			problems.push("missing control map");
+			return problems;
+		}
+
+		for (let control in controlMap) {
+			if (!(control in this.inputs)) {
+				problems.push("unknown control " + control);
+				continue;
+			}
+
+			for (let device of this.bindingDevices) {
+				for (let binding of controlMap[control][device] || []) {
+					if (!this.isValidBinding(binding, device)) {
+						problems.push("invalid " + device + " input " + binding + " for " + control);
+					}
+				}
+			}
+		}
+
+		return problems;
+	}
+
+
+	// Checks that a binding is something the device can produce. Empty slots are allowed
+	SQInput.isValidBinding = function(binding, device) {
+		if (binding === null) {
+			return true;
+		}
+
+		if (this.isChord(binding)) {
+			return String(binding).split(this.chordSeparator).every(key => this.isValidBinding(device === "gamepad" ? Number(key) : key, device));
+		}
+
+		if (device === "keyboard") {
+			return this.keyboardCodes.includes(binding);
+		}
+		else if (device === "gamepad") {
+			return Number.isInteger(binding) && ((binding >= 0 && binding < this.gamepadButtonCount) || binding in this.analogButtons);
+		}
+
+		return binding in this.mouseCodeToIconIndex;
+	}
+
+
+	// Applies an exported control map. Nothing changes if it doesn't pass validation. Controls that aren't in it
+	// go back to their defaults
+	SQInput.importControlMap = function(text) {
+		let data = this.parseControlMapExport(text);
+		let problems = this.validateControlMapExport(data);
+		if (problems.length > 0) {
+			throw new Error("SQInput: the control map can't be imported: " + problems.join(", "));
+		}
+
+		this.resetMap();
+		this.setControlMap(data.controlMap);
+		this.changeButtonSet(data.buttonSet);
+		this.buttonSetOverridden = true;
+	}
+
+
+	// Saves the current controls to controls/<name>.json. In a browser, the file is downloaded. Throws if the file
+	// can't be written
+	SQInput.saveControlMapFile = function(name) {
+		let data = this.makeControlMapExport();
+		data.checksum = this.checksum(JSON.stringify(data));
+		let json = JSON.stringify(data);
+
+		if (Utils.isNwjs()) {
+			const fs = require("fs");
+			const path = require("path");
+			let directory = this.controlMapDirectoryPath();
+
+			if (!fs.existsSync(directory)) {
+				fs.mkdirSync(directory);
+			}
+
+			fs.writeFileSync(path.join(directory, name + ".json"), json);
+		}
+		else {
+			this.downloadJson(name, json);
+		}
+	}
+
+
+	// Loads controls/<name>.json. Returns a promise with the file's text, which can be passed to importControlMap
+	SQInput.loadControlMapFile = function(name) {
+		return new Promise((resolve, reject) => {
+			if (Utils.isNwjs()) {
+				const fs = require("fs");
+				const path = require("path");
+				fs.readFile(path.join(this.controlMapDirectoryPath(), name + ".json"), "utf8", (error, json) => {
+					if (error) {
+						reject(error);
+					}
+					else {
+						resolve(json);
+					}
+				});
+			}
+			else {
+				let xhr = new XMLHttpRequest();
+				xhr.open("GET", "controls/" + name + ".json");
+				xhr.onload = () => xhr.status < 400 ? resolve(xhr.responseText) : reject(new Error(xhr.statusText));
+				xhr.onerror = () => reject(new Error("SQInput: failed to load " + name));
+				xhr.send();
+			}
+		});
+	}
+
+
+	// Lists the names of the files in the controls folder. Only available in NW.js
+	SQInput.listControlMapFiles = function() {
+		const fs = require("fs");
+		let directory = this.controlMapDirectoryPath();
+		if (!fs.existsSync(directory)) {
+			return [];
+		}
+
+		return fs.readdirSync(directory).filter(file => file.endsWith(".json")).map(file => file.slice(0, -5));
+	}
+
+
+	SQInput.controlMapDirectoryPath = function() {
+		const path = require("path");
+		const base = path.dirname(process.mainModule.filename);
+		return path.join(base, "controls/");
+	}
+
+
+	// Copies the exported controls to the clipboard. Returns a promise
+	SQInput.copyControlMap = function() {
+		return navigator.clipboard.writeText(this.exportControlMap());
+	}
+
+
+	// Imports controls from the clipboard. Returns a promise that's rejected if they can't be imported
+	SQInput.pasteControlMap = function() {
+		return navigator.clipboard.readText().then(text => this.importControlMap(text));
+	}
+
+
+	// Presses controls from script through the same handlers as real devices, so device tracking, the hold timers
+	// and the next input callbacks all see them. Gamepad presses go through a simulated gamepad that replaces
+	// navigator.getGamepads() until SQInput.simulate.reset() is called.
+	SQInput.simulate = {
+		gamepads: [],
+		_taps: [],
+
+		// Presses the key or button bound to a control or input name. Device is "keyboard", "gamepad" or "mouse"
+		press: function(name, device = "keyboard") {
+			this.setPressed(name, device, true);
+		},
+
+		release: function(name, device = "keyboard") {
+			this.setPressed(name, device, false);
+		},
+
+		// Presses a control and releases it after the given number of Input.update calls
+		tap: function(name, frames = 1, device = "keyboard") {
+			this.press(name, device);
+			this._taps.push({name: name, device: device, frames: frames});
+		},
+
+		// Connects a simulated gamepad with the standard mapping and returns it. Its buttons and axes can be
+		// set directly or with setButton and setAxis, and are read on the next Input.update
+		connectGamepad: function(id = "SQInput Simulated Gamepad") {
+			let gamepad = {
+				id: id,
+				index: this.gamepads.length,
+				connected: true,
+				mapping: "standard",
+				timestamp: 0,
+				buttons: [],
+				axes: [0, 0, 0, 0]
+			};
+
+			for (let i = 0; i < SQInput.gamepadButtonCount; i++) {
+				gamepad.buttons.push({pressed: false, touched: false, value: 0});
+			}
+
+			this.gamepads.push(gamepad);
+			SQInput.setGamepadProvider(() => this.gamepads);
+
+			return gamepad;
+		},
+
+		disconnectGamepad: function(gamepad) {
+			gamepad.connected = false;
+			this.gamepads[gamepad.index] = null;
+			SQInput.activeGamepadIndex = null;
+		},
+
+		setButton: function(gamepad, buttonIndex, value) {
+			let button = gamepad.buttons[buttonIndex];
+			button.value = Number(value);
+			button.pressed = button.value > 0;
+			button.touched = button.pressed;
+			gamepad.timestamp++;
+		},
+
+		setAxis: function(gamepad, axis, value) {
+			gamepad.axes[axis] = value;
+			gamepad.timestamp++;
+		},
+
+		// Releases everything that was simulated and goes back to the real gamepads
+		reset: function() {
+			this.gamepads = [];
+			this._taps = [];
+			SQInput.setGamepadProvider(null);
+			Input.clear();
+		},
+
+		// Releases taps that have been held long enough. Called at the start of Input.update
+		update: function() {
+			let finished = this._taps.filter(tap => tap.frames <= 0);
+			this._taps = this._taps.filter(tap => tap.frames-- > 0);
+
+			for (let tap of finished) {
+				this.release(tap.name, tap.device);
+			}
+		},
+
+		setPressed: function(name, device, pressed) {
+			let keys = this.findKeys(name, device);
+			if (!keys) {
+				throw new Error("SQInput: nothing bound to " + name + " on " + device);
+			}
+
+			// Modifiers are pressed before the main key and released after it
+			if (!pressed) {
+				keys = keys.slice().reverse();
+			}
+
+			for (let key of keys) {
+				if (device === "gamepad") {
+					this.setGamepadKey(key, pressed);
+				}
+				else if (device === "mouse") {
+					this.sendMouseEvent(key, pressed);
+				}
+				else {
+					this.sendKeyboardEvent(key, pressed);
+				}
+			}
+		},
+
+		// Returns the keys or buttons to press for a name, main key last. Controls use their primary binding and
+		// other names, like "ok" or "static_escape", use whatever key is mapped to them
+		findKeys: function(name, device) {
+			let binding = SQInput.getBindings(name, device)[0];
+			if (binding !== undefined) {
+				return SQInput.parseBinding(binding, device);
+			}
+
+			let mapper = {keyboard: Input.keyMapper, gamepad: Input.gamepadMapper, mouse: Input.mouseMapper}[device];
+			for (let key in mapper) {
+				if (mapper[key] && mapper[key].includes(name)) {
+					return [device === "gamepad" ? Number(key) : key];
+				}
+			}
+
+			return null;
+		},
+
+		sendKeyboardEvent: function(code, pressed) {
+			let event = {
+				type: pressed ? "keydown" : "keyup",
+				code: code,
+				key: code,
+				keyCode: this.keyCodeOf(code),
+				which: this.keyCodeOf(code),
+				preventDefault: function() {}
+			};
+
+			if (pressed) {
+				Input._onKeyDown(event);
+			}
+			else {
+				Input._onKeyUp(event);
+			}
+
+			SQInput.nextKeyboardInputHandler(event);
+		},
+
+		sendMouseEvent: function(code, pressed) {
+			if (code.startsWith("Wheel")) {
+				if (pressed) {
+					SQInput.onMouseWheel({deltaY: code === "WheelUp" ? -1 : 1, preventDefault: function() {}});
+				}
+				return;
+			}
+
+			SQInput.onMouseButton({
+				type: pressed ? "mousedown" : "mouseup",
+				button: Number(code.substring(5)),
+				preventDefault: function() {}
+			});
+		},
+
+		setGamepadKey: function(buttonIndex, pressed) {
+			let gamepad = this.gamepads.find(g => g && g.connected) || this.connectGamepad();
+			let analogButton = SQInput.analogButtons[buttonIndex];
+
+			if (!analogButton) {
+				this.setButton(gamepad, buttonIndex, pressed ? 1 : 0);
+			}
+			else if ("button" in analogButton) {
+				this.setButton(gamepad, analogButton.button, pressed ? 1 : 0);
+			}
+			else {
+				this.setAxis(gamepad, analogButton.axis, pressed ? analogButton.direction : 0);
+			}
+		},
+
+		// Key codes for the keys RMMZ checks by keyCode instead of code
+		keyCodeOf: function(code) {
+			let match = /^(?:Key|Digit)(.)$/.exec(code);
+			if (match) {
+				return match[1].charCodeAt(0);
+			}
+
+			return SQInput.simulatedKeyCodes[code] || 0;
+		}
+	};
+
+	SQInput.simulatedKeyCodes = {
+		Tab: 9, Enter: 13, ShiftLeft: 16, ShiftRight: 16, ControlLeft: 17, ControlRight: 17, AltLeft: 18,
+		AltRight: 18, Escape: 27, Space: 32, PageUp: 33, PageDown: 34, ArrowLeft: 37, ArrowUp: 38,
+		ArrowRight: 39, ArrowDown: 40, Insert: 45, NumLock: 144
+	};
+
+
+	// Polls gamepads through SQInput.getGamepads so a simulated gamepad provider can stand in for real ones
+	SQInput.defaultPollGamepads = Input._pollGamepads;
+	Input._pollGamepads = function() {
+		for (const gamepad of SQInput.getGamepads()) {
+			if (gamepad && gamepad.connected) {
+				this._updateGamepadState(gamepad);
+			}
+		}
+	}
+
+
+	// As a failsafe in case the player messed up the button mapping such that they can't change it back
+	// Check whether escape and shift are both long pressed. If they are, reset all control mapping.
+	SQInput.defaultInputUpdate = Input.update;
+	Input.update = function() {
+		SQInput.updateContext();
+		SQInput.simulate.update();
+		this._pollGamepads();
+		SQInput.updateVirtualGamepads();
+		SQInput.updatePlayers();
+		SQInput.updateRecording();
+		SQInput.updateToggles();
+		SQInput.updateHoldTimes();
+		SQInput.updateBuffers();
+
+		// The input queries use the timers from updateHoldTimes. The latest button and its press time are still
+		// kept up to date for code that reads them directly
+		if (!this._latestButton) {
+			this._latestButton = [];
+		}
+
+		if (this._latestButton.length && this._currentState[this._latestButton[0]]) {
+			this._pressedTime++;
+		} else {
+			this._latestButton = [];
+		}
+
+		for (const name in this._currentState) {
+			if (this._currentState[name] && !this._previousState[name]) {
+				this._latestButton.push(name);
+				this._pressedTime = 0;
+				this._date = Date.now();
+			}
+			this._previousState[name] = this._currentState[name];
+		}
+		if (this._virtualButton) {
+			this._latestButton = [this._virtualButton];
+			this._pressedTime = 0;
+			this._virtualButton = null;
+		}
+		this._updateDirection();
+		SQInput.releaseMouseWheel();
+
+		let longPressEscape = SQInput.isVeryLongPressed("escape") || SQInput.isVeryLongPressed("static_escape");
+		let longPressTab = SQInput.isVeryLongPressed("tab") || SQInput.isVeryLongPressed("static_tab");
+
+		if (longPressEscape && longPressTab && !SQInput._resetMap) {
+			SQInput.resetMap();
+			SoundManager.playEquip();
+			SQInput._resetMap = true;
+		}
+		else if (!longPressEscape || !longPressTab) {
+			SQInput._resetMap = false;
+		}
+	}
+
+
+	// Hook into the keyboard input handlers so that they can use the event.code value
+	// to prevent key collisions with gamepad input indexes and to improve compatability
+	Input._onKeyDown = function(event) {
+		if (this._shouldPreventDefault(event.keyCode)) {
+			event.preventDefault();
+		}
+		if (event.keyCode === 144) {
+			// Numlock
+			this.clear();
+		}
+		const code = event.code || event.which;
+		this._keyStates[code] = true;
+		SQInput.updatePlayerKeys(code, true);
+
+		// A chord takes the place of its main key's usual control while the modifiers are held
+		const chord = SQInput.findChord("keyboard", code, (key) => this._keyStates[key]);
+		if (chord) {
+			SQInput.activateChord("keyboard", chord);
+			return;
+		}
+
+		const buttonNames = this.keyMapper[code];
+		if (buttonNames) {
+			for (let b of buttonNames) {
+				this._currentState[b] = true;
+			}
+		}
+	}
+
+
+	Input._onKeyUp = function(event) {
+		const code = event.code || event.which;
+		this._keyStates[code] = false;
+		SQInput.updatePlayerKeys(code, false);
+
+		const wasChordKey = SQInput.isChordKeyActive("keyboard", code);
+		SQInput.releaseChords("keyboard", code);
+		if (wasChordKey) {
+			return;
+		}
+
+		const buttonNames = this.keyMapper[code];
+		if (buttonNames) {
+			for (let b of buttonNames) {
+				this._currentState[b] = false;
+			}
+		}
+	};
+
+
+	SQInput.defaultInputInitialize = Input.initialize;
+	Input.initialize = function() {
+		SQInput.defaultInputInitialize.call(Input);
+		SQInput.initialize();
+	}
+
+
+	// The map scene isn't very extensible since it explicitly checks for specific actions you can do
+	// Making the system menu available from there requires tinkering with the map update internals to
+	// add a check for the system menu input
+	SQInput.defaultUpdateCallMenu = Scene_Map.prototype.updateCallMenu;
+	Scene_Map.prototype.updateCallMenu = function() {
+		if (this.isMenuEnabled() && !$gamePlayer.isMoving()) {
+			this.menuCalling = this.isMenuCalled();
+			if (this.menuCalling) {
+				this.callMenu();
+			}
+
+			this.systemMenuCalling = this.isSystemMenuCalled();
+			if (this.systemMenuCalling) {
+				this.callSystemMenu();
+			}
+		} else {
+			this.menuCalling = false;
+			this.systemMenuCalling = false;
+		}
+	};
+
+
+	Scene_Map.prototype.isSystemMenuCalled = function() {
+		return Input.isTriggered("system_menu");
+	}
+
+
+	// Basically a copy of Scene_Map.callMenu with the scene changed. Ths might need some adjustment later?
+	Scene_Map.prototype.callSystemMenu = function() {
+		SoundManager.playOk();
+		SceneManager.push(Scene_GameEnd);
+		Window_MenuCommand.initCommandPosition();
+		$gameTemp.clearDestination();
+		this._mapNameWindow.hide();
+		this._waitCount = 2;
+	}
+
+
+	// Clearing the current and previous states when unfocusing the window changes the internal order
+	// of the keys, causing the default RMMZ key to not be checked last. Relying on this ordering is
+	// awful, but it's better than completely rewriting the input system
+	SQInput.defaultInputClear = Input.clear;
+	Input.clear = function() {
+		if (!this._currentState) this._currentState = {};
+		if (!this._previousState) this._previousState = {};
+
+		Object.keys(this._currentState).forEach((k) => { this._currentState[k] = false;});
+		Object.keys(this._previousState).forEach((k) => { this._currentState[k] = false;});
+
+		this._gamepadStates = [];
+		this._keyStates = {};
+		SQInput._activeChords = {keyboard: [], gamepad: []};
+		SQInput._wheelNames = [];
+		SQInput.clearBuffers();
+		SQInput.clearPlayers();
+		this._latestButton = null;
+		this._pressedTime = 0;
+		this._heldThroughClear = Object.assign({}, this._heldThroughClear, this._holdTimes);
+		this._holdTimes = {};
+		this._releasedNames = [];
+		this._lastPressFrames = {};
+		this._tapGaps = {};
+		this._inputFrame = 0;
+		this._virtualTriggered = null;
+		this._dir4 = 0;
+		this._dir8 = 0;
+		this._preferredAxis = "";
+		this._date = 0;
+		this._virtualButton = null;
+	}
+
+	// Controls in toggle mode report whether they're toggled on
+	SQInput.defaultIsPressed = Input.isPressed;
+	Input.isPressed = function(keyName) {
+		let control = SQInput.getToggleControl(keyName);
+		if (control) {
+			return SQInput.isToggled(control);
+		}
+
+		return SQInput.defaultIsPressed.call(this, keyName);
+	}
+
+	// Toggles are turned off when the scene changes, so a dash toggled on the map doesn't carry into a menu. A
+	// buffered press from the last scene shouldn't be acted on in the new one either
+	SQInput.defaultOnSceneCreate = SceneManager.onSceneCreate;
+	SceneManager.onSceneCreate = function() {
+		SQInput.defaultOnSceneCreate.call(SceneManager);
+		if (SQInput.clearTogglesOnSceneChange) {
+			SQInput.clearToggles();
+		}
+		SQInput.clearBuffers();
+	}
+
+	SQInput.defaultIsTriggered = Input.isTriggered;
+	Input.isTriggered = function(keyName) {
+		if (this._isEscapeCompatible(keyName) && this.isTriggered("escape")) {
+			return true;
+		} else {
+			return this.getHoldDuration(keyName) === 1 || this._virtualTriggered === keyName;
+		}
+	}
+
+	SQInput.defaultIsRepeated = Input.isRepeated;
+	Input.isRepeated = function (keyName) {
+		if (this._isEscapeCompatible(keyName) && this.isRepeated("escape")) {
+			return true;
+		} else {
+			return this._virtualTriggered === keyName || SQInput.isRepeatFrame(this.getHoldDuration(keyName));
+		}
+	}
+
+	// Replaces RMMZ's version, which compares against a single latest button, and lets the hold time be chosen
+	Input.isLongPressed = function(keyName, frames = this.keyRepeatWait) {
+		if (this._isEscapeCompatible(keyName) && this.isLongPressed("escape", frames)) {
+			return true;
+		} else {
+			return this.getHoldDuration(keyName) > frames;
+		}
+	}
+
+	Input.isDoubleTapped = function(keyName, windowFrames = SQInput.doubleTapFrames) {
+		return this.getHoldDuration(keyName) === 1 && this._tapGaps[keyName] <= windowFrames;
+	}
+
+	Input.isReleased = function(keyName) {
+		return this._releasedNames.includes(keyName);
+	}
+
+	Input.getHoldDuration = function(keyName) {
+		return this._holdTimes[keyName] || 0;
+	}
+
+	///////////////////////////////
+	// Local multiplayer players
+	// Player 1 passes everything through to SQInput and Input, so the rest of the game keeps working as usual.
+	// The other players keep their own bindings and state, which are updated from SQInput.updatePlayers
+	SQInput_Player.prototype.initialize = function(slot, settings = {}) {
+		this.slot = slot;
+		this.device = settings.device === "keyboard" ? "keyboard" : "gamepad";
+		this.gamepadName = null;
+		this._gamepadIndex = null;
+		this.bindings = {};
+		this.defaultBindings = {};
+
+		if (!this.isPrimary()) {
+			this.initBindings(settings);
+			this.rebuildMappers();
+		}
+	}
+
+
+	// Gamepad bindings start out the same as player 1's defaults. Keyboard bindings come from the player's
+	// slot settings, so each keyboard player can have their own half of the keyboard
+	SQInput_Player.prototype.initBindings = function(settings) {
+		let keyboard = {};
+		for (let k of SQInput.parseParamList(settings.keyboardInputs)) {
+			let entry = JSON.parse(k);
+			if (!(entry.control in keyboard)) {
+				keyboard[entry.control] = [];
+			}
+
+			keyboard[entry.control].push(entry.keyboardInput);
+		}
+
+		for (let control in SQInput.inputs) {
+			this.defaultBindings[control] = SQInput.normalizeBindings({
+				keyboard: keyboard[control] || [],
+				gamepad: SQInput.inputs[control].defaultBindings.gamepad
+			});
+			this.bindings[control] = SQInput.copyBindings(this.defaultBindings[control]);
+		}
+	}
+
+
+	SQInput_Player.prototype.isPrimary = function() {
+		return this.slot === 1;
+	}
+
+
+	SQInput_Player.prototype.getBinding = function(control, device, slot = 0) {
+		if (this.isPrimary()) {
+			return SQInput.getBinding(control, device, slot);
+		}
+
+		let bindings = this.bindings[control];
+		if (!bindings || !bindings[device]) {
+			return null;
+		}
+
+		let binding = bindings[device][slot];
+		return binding === undefined ? null : binding;
+	}
+
+
+	SQInput_Player.prototype.getBindings = function(control, device) {
+		if (this.isPrimary()) {
+			return SQInput.getBindings(control, device);
+		}
+
+		let bindings = this.bindings[control];
+		if (!bindings || !bindings[device]) {
+			return [];
+		}
+
+		return bindings[device].filter(b => b !== null);
+	}
+
+
+	SQInput_Player.prototype.setControlButton = function(control, keyCode, device, slot = 0) {
+		if (this.isPrimary()) {
+			return SQInput.setControlButton(control, keyCode, device, slot);
+		}
+
+		if (!this.bindings[control] || !this.bindings[control][device]) {
+			return false;
+		}
+
+		if (!SQInput.assignBinding((i) => this.bindings[i], control, keyCode, device, slot)) {
+			return false;
+		}
+
+		this.rebuildMappers();
+		return true;
+	}
+
+
+	SQInput_Player.prototype.setGamepadButton = function(control, buttonIndex, slot = 0) {
+		return this.setControlButton(control, buttonIndex, "gamepad", slot);
+	}
+
+
+	SQInput_Player.prototype.setKeyboardButton = function(control, keyCode, slot = 0) {
+		return this.setControlButton(control, keyCode, "keyboard", slot);
+	}
+
+
+	SQInput_Player.prototype.getConflict = function(control, keyCode, device, slot = 0) {
+		if (this.isPrimary()) {
+			return SQInput.getConflict(control, keyCode, device, slot);
 		}
+
+		return SQInput.findConflict((i) => this.bindings[i], control, keyCode, device, slot);
 	}
 
-	// Override gamepad updating because this is where new button presses can be detected
-	// If there's a new button press, fire the handler.
-	SQInput.defaultUpdateGamepadState = Input._updateGamepadState;
-	Input._updateGamepadState = function(gamepad) {
-		const originalState = this._gamepadStates[gamepad.index] || [];
 
-		if (SQInput.activeGamepadIndex === null) {
-			SQInput.updateActiveGamepad();
+	SQInput_Player.prototype.resetMap = function() {
+		if (this.isPrimary()) {
+			SQInput.resetMap();
+			return;
 		}
 
-		if (gamepad.index === SQInput.activeGamepadIndex) {
-			SQInput.originalUpdateGamepadState.call(Input, gamepad);
+		for (let control in this.defaultBindings) {
+			if (!SQInput.isHidden(control)) {
+				this.bindings[control] = SQInput.copyBindings(this.defaultBindings[control]);
+			}
 		}
 
-		const newState = this._gamepadStates[gamepad.index] || [];
+		this.rebuildMappers();
+	}
+
 
-		for (let i = 0; i < originalState.length; i++) {
-			if (originalState[i] !== newState[i]) {
-				SQInput.nextGamepadInputHandler(i, newState[i] === true ? "press" : "release");
-				break;
+	// See SQInput.resolveDuplicateBindings
+	SQInput_Player.prototype.resolveDuplicateBindings = function(savedControls) {
+		let cleared;
+		if (this.isPrimary()) {
+			cleared = SQInput.resolveDuplicateBindings((i) => SQInput.inputs[i].bindings, savedControls);
+			if (cleared > 0) {
+				SQInput.rebuildButtonMapper();
 			}
 		}
+		else {
+			cleared = SQInput.resolveDuplicateBindings((i) => this.bindings[i], savedControls);
+			if (cleared > 0) {
+				this.rebuildMappers();
+			}
+		}
+
+		return cleared;
 	}
 
 
-	// As a failsafe in case the player messed up the button mapping such that they can't change it back
-	// Check whether escape and shift are both long pressed. If they are, reset all control mapping.
-	SQInput.defaultInputUpdate = Input.update;
-	Input.update = function() {
-		this._pollGamepads();
+	SQInput_Player.prototype.getControlMap = function() {
+		if (this.isPrimary()) {
+			return SQInput.getControlMap();
+		}
 
-		if (!this._latestButton) {
-			this._latestButton = [];
+		let controlMap = {};
+		for (let control in this.bindings) {
+			controlMap[control] = SQInput.copyBindings(this.bindings[control]);
 		}
 
-		if (this._latestButton.length && this._currentState[this._latestButton[0]]) {
-			this._pressedTime++;
-		} else {
-			this._latestButton = [];
+		return controlMap;
+	}
+
+
+	SQInput_Player.prototype.setControlMap = function(map) {
+		if (this.isPrimary()) {
+			SQInput.setControlMap(map);
+			return;
 		}
 
-		for (const name in this._currentState) {
-			if (this._currentState[name] && !this._previousState[name]) {
-				this._latestButton.push(name);
-				this._pressedTime = 0;
-				this._date = Date.now();
+		if (map) {
+			for (let control in map) {
+				if (control in this.bindings && !SQInput.isLocked(control)) {
+					this.bindings[control] = SQInput.loadSavedBindings(map[control], this.defaultBindings[control]);
+				}
 			}
-			this._previousState[name] = this._currentState[name];
+
+			this.rebuildMappers();
 		}
-		if (this._virtualButton) {
-			this._latestButton = [this._virtualButton];
-			this._pressedTime = 0;
-			this._virtualButton = null;
+	}
+
+
+	// Chooses the player's gamepad by its index in the list of connected gamepads
+	SQInput_Player.prototype.setTargetGamepadIndex = function(gamepadIndex) {
+		if (this.isPrimary()) {
+			SQInput.setTargetGamepadIndex(gamepadIndex);
+			return;
 		}
-		this._updateDirection();
 
-		let longPressEscape = SQInput.isVeryLongPressed("escape") || SQInput.isVeryLongPressed("static_escape");
-		let longPressTab = SQInput.isVeryLongPressed("tab") || SQInput.isVeryLongPressed("static_tab");
+		let allGamepads = SQInput.getGamepads();
+		if (gamepadIndex in allGamepads && !!allGamepads[gamepadIndex]) {
+			this.device = "gamepad";
+			this.gamepadName = allGamepads[gamepadIndex].id;
+		}
+	}
 
-		if (longPressEscape && longPressTab && !SQInput._resetMap) {
-			SQInput.resetMap();
-			SoundManager.playEquip();
-			SQInput._resetMap = true;
+
+	// Switches a player after the first to their keyboard bindings
+	SQInput_Player.prototype.useKeyboard = function() {
+		if (!this.isPrimary()) {
+			this.device = "keyboard";
+			this.clear();
 		}
-		else if (!longPressEscape || !longPressTab) {
-			SQInput._resetMap = false;
+	}
+
+
+	SQInput_Player.prototype.getGamepadIndex = function() {
+		return this.isPrimary() ? SQInput.activeGamepadIndex : this._gamepadIndex;
+	}
+
+
+	SQInput_Player.prototype.getGamepadState = function() {
+		if (this.isPrimary()) {
+			return Input._gamepadStates[SQInput.activeGamepadIndex] || [];
 		}
+
+		return this._gamepadState;
 	}
 
 
-	// Hook into the keyboard input handlers so that they can use the event.code value
-	// to prevent key collisions with gamepad input indexes and to improve compatability
-	Input._onKeyDown = function(event) {
-		if (this._shouldPreventDefault(event.keyCode)) {
-			event.preventDefault();
+	SQInput_Player.prototype.isPressed = function(keyName) {
+		if (this.isPrimary()) {
+			return Input.isPressed(keyName);
 		}
-		if (event.keyCode === 144) {
-			// Numlock
-			this.clear();
+
+		return !!this._currentState[keyName];
+	}
+
+
+	SQInput_Player.prototype.isTriggered = function(keyName) {
+		if (this.isPrimary()) {
+			return Input.isTriggered(keyName);
 		}
-		const buttonNames = this.keyMapper[event.code || event.which];
-		if (buttonNames) {
-			for (let b of buttonNames) {
-				this._currentState[b] = true;
-			}
+
+		return this.getHoldDuration(keyName) === 1;
+	}
+
+
+	SQInput_Player.prototype.isRepeated = function(keyName) {
+		if (this.isPrimary()) {
+			return Input.isRepeated(keyName);
 		}
+
+		return SQInput.isRepeatFrame(this.getHoldDuration(keyName));
 	}
 
 
-	Input._onKeyUp = function(event) {
-		const buttonNames = this.keyMapper[event.code || event.which];
-		if (buttonNames) {
-			for (let b of buttonNames) {
-				this._currentState[b] = false;
-			}
+	SQInput_Player.prototype.isLongPressed = function(keyName, frames = Input.keyRepeatWait) {
+		if (this.isPrimary()) {
+			return Input.isLongPressed(keyName, frames);
 		}
-	};
+
+		return this.getHoldDuration(keyName) > frames;
+	}
 
 
-	SQInput.defaultInputInitialize = Input.initialize;
-	Input.initialize = function() {
-		SQInput.defaultInputInitialize.call(Input);
-		SQInput.initialize();
+	SQInput_Player.prototype.getHoldDuration = function(keyName) {
+		if (this.isPrimary()) {
+			return Input.getHoldDuration(keyName);
+		}
+
+		return this._holdTimes[keyName] || 0;
 	}
 
 
-	// The map scene isn't very extensible since it explicitly checks for specific actions you can do
-	// Making the system menu available from there requires tinkering with the map update internals to
-	// add a check for the system menu input
-	SQInput.defaultUpdateCallMenu = Scene_Map.prototype.updateCallMenu;
-	Scene_Map.prototype.updateCallMenu = function() {
-		if (this.isMenuEnabled() && !$gamePlayer.isMoving()) {
-			this.menuCalling = this.isMenuCalled();
-			if (this.menuCalling) {
-				this.callMenu();
-			}
+	SQInput_Player.prototype.getLeftJoystick = function() {
+		if (this.isPrimary()) {
+			return Input.getLeftJoystick();
+		}
 
-			this.systemMenuCalling = this.isSystemMenuCalled();
-			if (this.systemMenuCalling) {
-				this.callSystemMenu();
-			}
-		} else {
-			this.menuCalling = false;
-			this.systemMenuCalling = false;
+		return this._gamepadAxes ? this._gamepadAxes.left : undefined;
+	}
+
+
+	SQInput_Player.prototype.getRightJoystick = function() {
+		if (this.isPrimary()) {
+			return Input.getRightJoystick();
 		}
-	};
 
+		return this._gamepadAxes ? this._gamepadAxes.right : undefined;
+	}
 
-	Scene_Map.prototype.isSystemMenuCalled = function() {
-		return Input.isTriggered("system_menu");
+
+	SQInput_Player.prototype.getTriggerValue = function(trigger) {
+		if (this.isPrimary()) {
+			return Input.getTriggerValue(trigger);
+		}
+
+		return this._gamepadAxes ? this._gamepadAxes.triggers[trigger] || 0 : 0;
 	}
 
 
-	// Basically a copy of Scene_Map.callMenu with the scene changed. Ths might need some adjustment later?
-	Scene_Map.prototype.callSystemMenu = function() {
-		SoundManager.playOk();
-		SceneManager.push(Scene_GameEnd);
-		Window_MenuCommand.initCommandPosition();
-		$gameTemp.clearDestination();
-		this._mapNameWindow.hide();
-		this._waitCount = 2;
+	SQInput_Player.prototype.rebuildMappers = function() {
+		this.buildMappers();
+		this.clear();
 	}
 
 
-	// Clearing the current and previous states when unfocusing the window changes the internal order
-	// of the keys, causing the default RMMZ key to not be checked last. Relying on this ordering is
-	// awful, but it's better than completely rewriting the input system
-	SQInput.defaultInputClear = Input.clear;
-	Input.clear = function() {
-		if (!this._currentState) this._currentState = {};
-		if (!this._previousState) this._previousState = {};
+	SQInput_Player.prototype.buildMappers = function() {
+		this._context = SQInput.getContext();
 
-		Object.keys(this._currentState).forEach((k) => { this._currentState[k] = false;});
-		Object.keys(this._previousState).forEach((k) => { this._currentState[k] = false;});
+		let mappers = SQInput.makeMappers(this.getBindings.bind(this), this._context);
+		this.keyMapper = mappers.keyboard;
+		this.gamepadMapper = mappers.gamepad;
+		this.chordMapper = mappers.chords;
+	}
 
-		this._gamepadStates = [];
-		this._latestButton = null;
+
+	// Like Input.clear, names that are still held have to be released before they count as pressed again
+	SQInput_Player.prototype.clear = function() {
+		this._currentState = {};
+		this._previousState = {};
+		this._latestButton = [];
 		this._pressedTime = 0;
-		this._dir4 = 0;
-		this._dir8 = 0;
-		this._preferredAxis = "";
-		this._date = 0;
-		this._virtualButton = null;
+		this._heldThroughClear = Object.assign({}, this._heldThroughClear, this._holdTimes);
+		this._holdTimes = {};
+		// Kept as released, so they're seen when they're actually released even if the button doesn't change again
+		for (const name in this._heldThroughClear) {
+			this._currentState[name] = false;
+		}
+		this._gamepadState = [];
+		this._gamepadAxes = null;
+		this._activeChords = {keyboard: [], gamepad: []};
 	}
 
-	SQInput.defaultIsTriggered = Input.isTriggered;
-	Input.isTriggered = function(keyName) {
-		if (this._isEscapeCompatible(keyName) && this.isTriggered("escape")) {
-			return true;
-		} else {
-			return this._latestButton.contains(keyName) && this._pressedTime === 0;
+
+	// Sets the state of the names mapped to a keyboard key or gamepad button. Works the same way as
+	// Input._onKeyDown and Input._onKeyUp, including chords
+	SQInput_Player.prototype.onInput = function(device, key, pressed, isHeld) {
+		let activeChords = this._activeChords[device];
+
+		if (pressed) {
+			let chord = SQInput.findChord(device, key, isHeld, this.chordMapper);
+			if (chord) {
+				if (!activeChords.includes(chord)) {
+					activeChords.push(chord);
+				}
+
+				for (let name of chord.names) {
+					this._currentState[name] = true;
+				}
+				return;
+			}
+		}
+		else {
+			let wasChordKey = activeChords.some(chord => chord.key === key);
+			for (let i = activeChords.length - 1; i >= 0; i--) {
+				let chord = activeChords[i];
+				if (chord.key === key || chord.modifiers.includes(key)) {
+					for (let name of chord.names) {
+						this._currentState[name] = false;
+					}
+					activeChords.splice(i, 1);
+				}
+			}
+
+			if (wasChordKey) {
+				return;
+			}
+		}
+
+		let mapper = device === "gamepad" ? this.gamepadMapper : this.keyMapper;
+		for (let name of mapper[key] || []) {
+			this._currentState[name] = pressed;
 		}
 	}
 
-	SQInput.defaultIsRepeated = Input.isRepeated;
-	Input.isRepeated = function (keyName) {
-		if (this._isEscapeCompatible(keyName) && this.isRepeated("escape")) {
-			return true;
+
+	SQInput_Player.prototype.updateGamepad = function(gamepad) {
+		const {state, axes} = SQInput.readGamepad(gamepad);
+
+		for (let j = 0; j < state.length; j++) {
+			if (!!state[j] !== !!this._gamepadState[j]) {
+				this.onInput("gamepad", j, !!state[j], (b) => state[b]);
+			}
+		}
+
+		// Like Input._updateGamepadState, only one change in a frame is passed on to the callbacks, and only by the
+		// player whose input is being captured
+		if (SQInput.inputCapturePlayer === this.slot) {
+			const changed = SQInput.findChangedButton(this._gamepadState, state);
+			if (changed >= 0) {
+				SQInput.runGamepadInputCallback(changed, state[changed] ? "press" : "release");
+			}
+		}
+
+		this._gamepadState = state;
+		this._gamepadAxes = axes;
+	}
+
+
+	// Rebuilds the mappers when the context changes, without clearing the held buttons, then updates the hold timers,
+	// latest buttons and press time the same way Input.update does
+	SQInput_Player.prototype.update = function() {
+		if (this._context !== SQInput._currentContext) {
+			this.buildMappers();
+			SQInput.releaseInactiveControls(this._currentState, this._context);
+		}
+
+		for (const name in this._currentState) {
+			if (this._currentState[name] && !this._heldThroughClear[name]) {
+				this._holdTimes[name] = (this._holdTimes[name] || 0) + 1;
+			}
+			else if (!this._currentState[name]) {
+				delete this._heldThroughClear[name];
+				delete this._holdTimes[name];
+			}
+		}
+
+		if (this._latestButton.length && this._currentState[this._latestButton[0]]) {
+			this._pressedTime++;
 		} else {
-			return (
-				this._latestButton.contains(keyName) &&
-				(this._pressedTime === 0 ||
-					(this._pressedTime >= this.keyRepeatWait &&
-						this._pressedTime % this.keyRepeatInterval === 0))
-			);
+			this._latestButton = [];
+		}
+
+		for (const name in this._currentState) {
+			if (this._currentState[name] && !this._previousState[name]) {
+				this._latestButton.push(name);
+				this._pressedTime = 0;
+			}
+			this._previousState[name] = this._currentState[name];
 		}
 	}
 })();
@@ -1222,14 +5514,35 @@ function SQConfig() {
 
 
 (function() {
+	// The version of the SQConfig block saved in the config
+	SQConfig.version = 1;
+
+	// Each entry upgrades an SQConfig block from the version at its index to the next one
+	SQConfig.upgrades = [
+		// Version 1 started tracking the controls version. Older configs had no control migrations applied
+		function(sqConfig) {
+			sqConfig.controlsVersion = 0;
+		}
+	];
+
 	SQConfig.defaultMakeData = ConfigManager.makeData;
 	ConfigManager.makeData = function () {
 		let config = SQConfig.defaultMakeData.call(ConfigManager);
+		let layout = SQInput.getGlobalControlLayout();
 
 		config.SQConfig = {
-			buttonSet: SQInput.getButtonSet(),
-			gamepadName: SQInput.targetGamepadName,
-			controlMap: SQInput.getControlMap()
+			version: SQConfig.version,
+			controlsVersion: SQInput.getControlsVersion(),
+			buttonSet: layout.buttonSet,
+			buttonSetOverridden: layout.buttonSetOverridden,
+			gamepadName: layout.gamepadName,
+			controlMap: layout.controlMap,
+			stickOverrides: SQInput.getStickOverrides(),
+			rumbleEnabled: SQInput.rumbleEnabled,
+			rumbleIntensity: SQInput.rumbleIntensity,
+			players: SQInput.getPlayerData(),
+			profiles: SQInput.getProfileData(),
+			controlModes: SQInput.getControlModes()
 		}
 
 		return config;
@@ -1239,12 +5552,20 @@ function SQConfig() {
 	ConfigManager.applyData = function (config) {
 		SQConfig.defaultApplyData.call(ConfigManager, config);
 
-		let sqConfig = config.SQConfig;
+		// Configs saved before SQInput was added don't have an SQConfig block
+		let sqConfig = SQConfig.upgrade(config.SQConfig || {});
+		SQConfig.migrateControls(sqConfig);
 
 		let buttonSet = "buttonSet" in sqConfig
 			? parseInt(sqConfig.buttonSet || 0).clamp(0, SQInput.numButtonSets)
 			: SQInput.activeButtonSet;
 
+		// Configs saved before controller families were detected only had a button set. Anything but the first
+		// set must have been picked by the player
+		let buttonSetOverridden = "buttonSetOverridden" in sqConfig
+			? !!sqConfig.buttonSetOverridden
+			: buttonSet !== 0;
+
 		let gamepadName = "gamepadName" in sqConfig
 			? sqConfig.gamepadName
 			: null;
@@ -1253,9 +5574,110 @@ function SQConfig() {
 			? sqConfig.controlMap
 			: [];
 
+		let stickOverrides = "stickOverrides" in sqConfig
+			? sqConfig.stickOverrides
+			: null;
+
+		let rumbleEnabled = "rumbleEnabled" in sqConfig
+			? sqConfig.rumbleEnabled
+			: true;
+
+		let rumbleIntensity = "rumbleIntensity" in sqConfig
+			? sqConfig.rumbleIntensity
+			: 1;
+
 		SQInput.changeButtonSet(buttonSet);
+		SQInput.buttonSetOverridden = buttonSetOverridden;
 		SQInput.setTargetGamepadName(gamepadName);
 		SQInput.setControlMap(controlMap);
+		SQInput.setStickOverrides(stickOverrides);
+		SQInput.setRumbleEnabled(rumbleEnabled);
+		SQInput.setRumbleIntensity(rumbleIntensity);
+		SQInput.setPlayerData(sqConfig.players);
+		SQInput.setProfileData(sqConfig.profiles);
+		SQInput.setControlModes(sqConfig.controlModes);
+		SQConfig.resolveDuplicateBindings(sqConfig);
+	}
+
+
+	// Saves with their own controls keep them in the save contents
+	SQConfig.defaultMakeSaveContents = DataManager.makeSaveContents;
+	DataManager.makeSaveContents = function() {
+		let contents = SQConfig.defaultMakeSaveContents.call(DataManager);
+		if (SQInput.controlScope === "save") {
+			contents.sqControls = SQInput.makeControlLayout();
+		}
+
+		return contents;
+	}
+
+	SQConfig.defaultExtractSaveContents = DataManager.extractSaveContents;
+	DataManager.extractSaveContents = function(contents) {
+		SQConfig.defaultExtractSaveContents.call(DataManager, contents);
+		SQInput.loadSaveControls(contents.sqControls);
+	}
+
+	// New games start with the global controls
+	SQConfig.defaultSetupNewGame = DataManager.setupNewGame;
+	DataManager.setupNewGame = function() {
+		SQConfig.defaultSetupNewGame.call(DataManager);
+		SQInput.setControlScope("global");
+		SQInput._gameInProgress = true;
+	}
+
+	// The title screen isn't part of any save
+	SQConfig.defaultTitleStart = Scene_Title.prototype.start;
+	Scene_Title.prototype.start = function() {
+		SQConfig.defaultTitleStart.call(this);
+		SQInput.setControlScope("global");
+		SQInput._gameInProgress = false;
+	}
+
+	// Brings an SQConfig block saved by an older version of SQInput up to the current version
+	SQConfig.upgrade = function(sqConfig) {
+		let version = sqConfig.version || 0;
+		for (; version < this.version; version++) {
+			this.upgrades[version](sqConfig);
+		}
+
+		sqConfig.version = this.version;
+		return sqConfig;
+	}
+
+
+	// Applies the control migrations to every saved control map: player 1's, the other players' and the profiles'.
+	// The control modes are keyed by control too, so they're migrated the same way
+	SQConfig.migrateControls = function(sqConfig) {
+		let fromVersion = sqConfig.controlsVersion;
+		SQInput.migrateControlMap(sqConfig.controlMap, fromVersion);
+		SQInput.migrateControlMap(sqConfig.controlModes, fromVersion);
+
+		for (let player of (Array.isArray(sqConfig.players) ? sqConfig.players : [])) {
+			if (player) {
+				SQInput.migrateControlMap(player.controlMap, fromVersion);
+			}
+		}
+
+		if (sqConfig.profiles && Array.isArray(sqConfig.profiles.profiles)) {
+			for (let profile of sqConfig.profiles.profiles) {
+				if (profile) {
+					SQInput.migrateControlMap(profile.controlMap, fromVersion);
+				}
+			}
+		}
+
+		sqConfig.controlsVersion = SQInput.getControlsVersion();
+	}
+
+
+	// Each player's controls that weren't in their saved map give up keys that clash with the ones that were
+	SQConfig.resolveDuplicateBindings = function(sqConfig) {
+		let players = Array.isArray(sqConfig.players) ? sqConfig.players : [];
+
+		SQInput.players.forEach((player, i) => {
+			let controlMap = i === 0 ? sqConfig.controlMap : (players[i - 1] || {}).controlMap;
+			player.resolveDuplicateBindings(controlMap && typeof controlMap === "object" ? Object.keys(controlMap) : []);
+		});
 	}
 
 })();
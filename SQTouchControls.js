@@ -0,0 +1,486 @@
+// ==================================================
+// SQTouchControls.js
+// ==================================================
+
+//#region Plugin header
+/*:
+ * @target MZ
+ * @plugindesc On-screen touch controls for SQInput
+ * @author Strange Qwarq
+ *
+ * @help
+ * Adds an on-screen virtual gamepad with a stick and buttons for touch
+ * devices. This plugin requires SQInput and must be placed below it.
+ *
+ * Each button is bound to the name of an SQInput control, such as "confirm"
+ * or one of the names from SQInput's Controls parameter. Pressing the button
+ * presses that control's primary gamepad binding on a virtual gamepad, so it
+ * goes through the same mapping as a real controller and works with the
+ * standard input checks, e.g. Input.isTriggered("custom_name"). Buttons show
+ * the icon for that gamepad binding using the active button set. Controls
+ * without a gamepad binding are pressed directly.
+ *
+ * The stick acts as the left stick of the virtual gamepad, so it moves the
+ * D-pad the same way a real left stick does.
+ *
+ * Positions are in screen pixels, measured from the top left corner.
+ *
+ * @ ======================================
+ * @ Plugin Parameters
+ * @ ======================================
+ *
+ * @param showControls
+ * @text Show Touch Controls
+ * @type select
+ * @option Only on mobile devices
+ * @value auto
+ * @option Always
+ * @value always
+ * @option Never
+ * @value never
+ * @description When the on-screen controls should be shown
+ * @default auto
+ *
+ * @param scenes
+ * @text Scenes
+ * @type string[]
+ * @description Names of the scenes that show the touch controls
+ * @default ["Scene_Map","Scene_Battle"]
+ *
+ * @param opacity
+ * @text Opacity
+ * @type number
+ * @min 0
+ * @max 255
+ * @description Opacity of the controls when they aren't being touched
+ * @default 160
+ *
+ * @param stick
+ * @text Stick
+ * @type struct<TouchStick>
+ * @description The virtual stick
+ * @default {"enabled":"true","x":"120","y":"500","radius":"80"}
+ *
+ * @param buttons
+ * @text Buttons
+ * @type struct<TouchButton>[]
+ * @description The virtual buttons
+ * @default ["{\"control\":\"confirm\",\"x\":\"730\",\"y\":\"530\",\"radius\":\"40\"}","{\"control\":\"cancel\",\"x\":\"640\",\"y\":\"560\",\"radius\":\"40\"}","{\"control\":\"dash\",\"x\":\"730\",\"y\":\"430\",\"radius\":\"40\"}","{\"control\":\"menu\",\"x\":\"760\",\"y\":\"60\",\"radius\":\"36\"}"]
+ */
+/*~struct~TouchStick:
+ * @param enabled
+ * @text Enabled
+ * @type boolean
+ * @desc Whether the stick is shown
+ * @default true
+ *
+ * @param x
+ * @text X
+ * @type number
+ * @desc Horizontal position of the stick's center
+ * @default 120
+ *
+ * @param y
+ * @text Y
+ * @type number
+ * @desc Vertical position of the stick's center
+ * @default 500
+ *
+ * @param radius
+ * @text Radius
+ * @type number
+ * @min 1
+ * @desc How far the stick can be pushed from its center
+ * @default 80
+ */
+/*~struct~TouchButton:
+ * @param control
+ * @text Control
+ * @type string
+ * @desc The name of the SQInput control that this button presses
+ *
+ * @param x
+ * @text X
+ * @type number
+ * @desc Horizontal position of the button's center
+ *
+ * @param y
+ * @text Y
+ * @type number
+ * @desc Vertical position of the button's center
+ *
+ * @param radius
+ * @text Radius
+ * @type number
+ * @min 1
+ * @desc Size of the button
+ * @default 40
+ */
+//#endregion
+
+
+function SQTouchControls() {
+	throw new Error("SQTouchControls is a static class");
+}
+
+(function() {
+	let params = PluginManager.parameters("SQTouchControls");
+
+	let showControls = params["showControls"] || "auto";
+	let scenes = params["scenes"] ? JSON.parse(params["scenes"]) : ["Scene_Map", "Scene_Battle"];
+	let opacity = Number(params["opacity"] || 160);
+
+	let stickParams = params["stick"] ? JSON.parse(params["stick"]) : {};
+	SQTouchControls.stick = {
+		enabled: stickParams.enabled !== "false",
+		x: Number(stickParams.x || 120),
+		y: Number(stickParams.y || 500),
+		radius: Number(stickParams.radius || 80)
+	};
+
+	SQTouchControls.buttons = (params["buttons"] ? JSON.parse(params["buttons"]) : []).map((b) => {
+		let button = JSON.parse(b);
+		return {
+			control: button.control,
+			x: Number(button.x || 0),
+			y: Number(button.y || 0),
+			radius: Number(button.radius || 40)
+		};
+	});
+
+	// The gamepad that the touch controls press buttons on. It's passed to SQInput as a virtual gamepad
+	SQTouchControls.gamepad = {
+		index: "touch",
+		id: "SQ Touch Controls",
+		mapping: "standard",
+		connected: true,
+		buttons: [],
+		axes: [0, 0, 0, 0]
+	};
+
+	// Touches currently on the controls, by touch identifier. Each one is either "stick" or a button index
+	SQTouchControls._touches = {};
+
+	// Position of the touch holding the stick, relative to the stick's center
+	SQTouchControls._stickOffset = {x: 0, y: 0};
+
+	// Whether the controls are on screen. Touches are only captured while they are
+	SQTouchControls._visible = false;
+
+	SQTouchControls.initialize = function() {
+		this.resetGamepad();
+		SQInput.addVirtualGamepad(this.gamepad);
+
+		// Listen on the window during the capture phase, so touches on the controls can be stopped before
+		// TouchInput treats them as taps on the screen
+		let options = {capture: true, passive: false};
+		window.addEventListener("touchstart", this.onTouchStart.bind(this), options);
+		window.addEventListener("touchmove", this.onTouchMove.bind(this), options);
+		window.addEventListener("touchend", this.onTouchEnd.bind(this), options);
+		window.addEventListener("touchcancel", this.onTouchEnd.bind(this), options);
+	}
+
+	SQTouchControls.isEnabled = function() {
+		if (showControls === "always") {
+			return true;
+		}
+		else if (showControls === "never") {
+			return false;
+		}
+
+		return Utils.isMobileDevice();
+	}
+
+	SQTouchControls.isSceneEnabled = function(scene) {
+		return this.isEnabled() && scenes.includes(scene.constructor.name);
+	}
+
+	SQTouchControls.setVisible = function(visible) {
+		this._visible = visible;
+		if (!visible) {
+			this.clear();
+		}
+	}
+
+	// Releases everything on the virtual gamepad
+	SQTouchControls.clear = function() {
+		this._touches = {};
+		this._stickOffset = {x: 0, y: 0};
+		this.resetGamepad();
+	}
+
+	SQTouchControls.resetGamepad = function() {
+		this.gamepad.buttons = [];
+		for (let i = 0; i < SQInput.gamepadButtonCount; i++) {
+			this.gamepad.buttons.push({pressed: false, value: 0});
+		}
+
+		this.gamepad.axes = [0, 0, 0, 0];
+	}
+
+	SQTouchControls.onTouchStart = function(event) {
+		if (!this._visible) {
+			return;
+		}
+
+		let handled = 0;
+		for (let touch of event.changedTouches) {
+			let x = Graphics.pageToCanvasX(touch.pageX);
+			let y = Graphics.pageToCanvasY(touch.pageY);
+			let target = this.hitTest(x, y);
+
+			if (target !== null) {
+				this._touches[touch.identifier] = target;
+				if (target === "stick") {
+					this.moveStick(x, y);
+				}
+				handled++;
+			}
+		}
+
+		if (handled) {
+			this.refreshGamepad();
+			event.preventDefault();
+		}
+
+		// Only keep the event from TouchInput if every new touch was on the controls
+		if (handled && handled === event.changedTouches.length) {
+			event.stopPropagation();
+		}
+	}
+
+	SQTouchControls.onTouchMove = function(event) {
+		let handled = false;
+		for (let touch of event.changedTouches) {
+			if (!(touch.identifier in this._touches)) {
+				continue;
+			}
+
+			if (this._touches[touch.identifier] === "stick") {
+				this.moveStick(Graphics.pageToCanvasX(touch.pageX), Graphics.pageToCanvasY(touch.pageY));
+			}
+			handled = true;
+		}
+
+		if (handled) {
+			this.refreshGamepad();
+			event.preventDefault();
+			event.stopPropagation();
+		}
+	}
+
+	SQTouchControls.onTouchEnd = function(event) {
+		let handled = false;
+		for (let touch of event.changedTouches) {
+			if (!(touch.identifier in this._touches)) {
+				continue;
+			}
+
+			if (this._touches[touch.identifier] === "stick") {
+				this._stickOffset = {x: 0, y: 0};
+			}
+			delete this._touches[touch.identifier];
+			handled = true;
+		}
+
+		if (handled) {
+			this.refreshGamepad();
+			event.preventDefault();
+			event.stopPropagation();
+		}
+	}
+
+	// Returns "stick", the index of the touched button, or null if the point isn't on any of the controls
+	SQTouchControls.hitTest = function(x, y) {
+		for (let i = 0; i < this.buttons.length; i++) {
+			let button = this.buttons[i];
+			if (Math.hypot(x - button.x, y - button.y) <= button.radius) {
+				return i;
+			}
+		}
+
+		if (this.stick.enabled && Math.hypot(x - this.stick.x, y - this.stick.y) <= this.stick.radius) {
+			return "stick";
+		}
+
+		return null;
+	}
+
+	SQTouchControls.moveStick = function(x, y) {
+		let dx = x - this.stick.x;
+		let dy = y - this.stick.y;
+		let distance = Math.hypot(dx, dy);
+
+		// Keep the stick inside its circle
+		if (distance > this.stick.radius) {
+			dx *= this.stick.radius / distance;
+			dy *= this.stick.radius / distance;
+		}
+
+		this._stickOffset = {x: dx, y: dy};
+	}
+
+	SQTouchControls.getStickOffset = function() {
+		return this._stickOffset;
+	}
+
+	SQTouchControls.isButtonPressed = function(buttonIndex) {
+		return Object.values(this._touches).includes(buttonIndex);
+	}
+
+	// Rebuilds the virtual gamepad's buttons and axes from the current touches. It's read by SQInput during the
+	// next input update
+	SQTouchControls.refreshGamepad = function() {
+		this.resetGamepad();
+
+		this.gamepad.axes[0] = this._stickOffset.x / this.stick.radius;
+		this.gamepad.axes[1] = this._stickOffset.y / this.stick.radius;
+
+		for (let i = 0; i < this.buttons.length; i++) {
+			let control = this.buttons[i].control;
+			let buttons = SQInput.parseBinding(SQInput.getBinding(control, "gamepad"), "gamepad");
+			let pressed = this.isButtonPressed(i);
+
+			if (!buttons.length) {
+				// Nothing to press on the gamepad, so set the control's state directly
+				if (pressed !== !!Input._currentState[control]) {
+					for (let name of SQInput.getMappedNames(control, "gamepad")) {
+						Input._currentState[name] = pressed;
+					}
+				}
+				continue;
+			}
+
+			if (pressed) {
+				for (let button of buttons) {
+					this.pressGamepadButton(button);
+				}
+			}
+		}
+	}
+
+	// Presses a button on the virtual gamepad. Analog inputs are pushed all the way in their direction
+	SQTouchControls.pressGamepadButton = function(buttonIndex) {
+		let analogButton = SQInput.analogButtons[buttonIndex];
+		if (analogButton && "axis" in analogButton) {
+			this.gamepad.axes[analogButton.axis] = analogButton.direction;
+		}
+		else if (analogButton) {
+			this.gamepad.buttons[analogButton.button] = {pressed: true, value: 1};
+		}
+		else if (buttonIndex < this.gamepad.buttons.length) {
+			this.gamepad.buttons[buttonIndex] = {pressed: true, value: 1};
+		}
+	}
+
+	SQTouchControls.defaultInputInitialize = Input.initialize;
+	Input.initialize = function() {
+		SQTouchControls.defaultInputInitialize.call(Input);
+		SQTouchControls.initialize();
+	}
+
+	SQTouchControls.defaultSceneStart = Scene_Base.prototype.start;
+	Scene_Base.prototype.start = function() {
+		SQTouchControls.defaultSceneStart.call(this);
+
+		if (SQTouchControls.isSceneEnabled(this)) {
+			this._sqTouchControls = new Sprite_SQTouchControls();
+			this.addChild(this._sqTouchControls);
+			SQTouchControls.setVisible(true);
+		}
+	}
+
+	SQTouchControls.defaultSceneTerminate = Scene_Base.prototype.terminate;
+	Scene_Base.prototype.terminate = function() {
+		SQTouchControls.defaultSceneTerminate.call(this);
+
+		if (this._sqTouchControls) {
+			SQTouchControls.setVisible(false);
+		}
+	}
+
+	///////////////////////////////
+	// Draws the stick and buttons
+	function Sprite_SQTouchControls() {
+		this.initialize(...arguments);
+	}
+
+	Sprite_SQTouchControls.prototype = Object.create(Sprite.prototype);
+	Sprite_SQTouchControls.prototype.constructor = Sprite_SQTouchControls;
+	Sprite_SQTouchControls.prototype.initialize = function() {
+		Sprite.prototype.initialize.call(this);
+
+		this.createStick();
+		this.createButtons();
+	}
+
+	Sprite_SQTouchControls.prototype.createStick = function() {
+		let stick = SQTouchControls.stick;
+		if (!stick.enabled) {
+			return;
+		}
+
+		this._stickBase = this.createCircle(stick.radius, "rgba(0, 0, 0, 0.4)");
+		this._stickBase.move(stick.x, stick.y);
+		this.addChild(this._stickBase);
+
+		this._stickKnob = this.createCircle(stick.radius / 2, "rgba(255, 255, 255, 0.6)");
+		this._stickKnob.move(stick.x, stick.y);
+		this.addChild(this._stickKnob);
+	}
+
+	Sprite_SQTouchControls.prototype.createButtons = function() {
+		this._buttonSprites = [];
+		for (let button of SQTouchControls.buttons) {
+			let sprite = this.createCircle(button.radius, "rgba(0, 0, 0, 0.4)");
+			sprite.move(button.x, button.y);
+			sprite._iconIndex = null;
+			this.addChild(sprite);
+			this._buttonSprites.push(sprite);
+		}
+	}
+
+	Sprite_SQTouchControls.prototype.createCircle = function(radius, color) {
+		let sprite = new Sprite(new Bitmap(radius * 2, radius * 2));
+		sprite.bitmap.drawCircle(radius, radius, radius, color);
+		sprite.anchor.x = 0.5;
+		sprite.anchor.y = 0.5;
+		sprite.opacity = opacity;
+		return sprite;
+	}
+
+	Sprite_SQTouchControls.prototype.update = function() {
+		Sprite.prototype.update.call(this);
+
+		if (this._stickKnob) {
+			let offset = SQTouchControls.getStickOffset();
+			this._stickKnob.move(SQTouchControls.stick.x + offset.x, SQTouchControls.stick.y + offset.y);
+		}
+
+		for (let i = 0; i < this._buttonSprites.length; i++) {
+			let sprite = this._buttonSprites[i];
+			sprite.opacity = SQTouchControls.isButtonPressed(i) ? 255 : opacity;
+			this.refreshButtonIcon(sprite, SQTouchControls.buttons[i]);
+		}
+	}
+
+	// Redraws the button's icon if the control's binding or the button set changed
+	Sprite_SQTouchControls.prototype.refreshButtonIcon = function(sprite, button) {
+		let iconIndex = SQInput.getGamepadControlIconIndex(button.control);
+		let iconSet = ImageManager.loadSystem(SQInput.buttonIconSet);
+		if (sprite._iconIndex === iconIndex || !iconSet.isReady()) {
+			return;
+		}
+
+		let pw = ImageManager.iconWidth;
+		let ph = ImageManager.iconHeight;
+		let sx = (iconIndex % 16) * pw;
+		let sy = Math.floor(iconIndex / 16) * ph;
+		let bitmap = sprite.bitmap;
+
+		bitmap.clear();
+		bitmap.drawCircle(button.radius, button.radius, button.radius, "rgba(0, 0, 0, 0.4)");
+		bitmap.blt(iconSet, sx, sy, pw, ph, button.radius - pw / 2, button.radius - ph / 2);
+		sprite._iconIndex = iconIndex;
+	}
+})();